@@ -0,0 +1,63 @@
+/**
+ * Socket.IO Adapter Setup
+ *
+ * Picks the adapter that makes rooms work across processes:
+ *
+ * - memory  - single process (default)
+ * - cluster - Node cluster workers started by cluster.js (selected automatically in workers)
+ * - redis   - several processes or hosts sharing one Redis (REDIS_URL)
+ *
+ * With cluster or redis adapter `io.to(room).emit()`, `io.in(room).fetchSockets()`
+ * and `socket.data` work across all workers.
+ */
+
+const cluster = require('cluster');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Adapter');
+
+/**
+ * Attach adapter to Socket.IO server
+ * @param {object} io - Socket.IO server
+ * @param {object} options
+ * @param {string} [options.mode] - 'memory' | 'cluster' | 'redis' (default: cluster in workers, memory otherwise)
+ * @param {string} [options.redisUrl] - Redis connection URL for redis mode
+ * @returns {Promise<string>} Mode that was set up
+ */
+async function setupAdapter(io, { mode, redisUrl } = {}) {
+  const adapterMode = mode || (cluster.isWorker ? 'cluster' : 'memory');
+
+  switch (adapterMode) {
+    case 'memory':
+      return adapterMode;
+
+    case 'cluster': {
+      if (!cluster.isWorker) {
+        throw new Error('Cluster adapter requires running as a cluster worker (start with cluster.js)');
+      }
+      const { createAdapter } = require('@socket.io/cluster-adapter');
+      io.adapter(createAdapter());
+      return adapterMode;
+    }
+
+    case 'redis': {
+      const { createClient } = require('redis');
+      const { createAdapter } = require('@socket.io/redis-adapter');
+
+      const pubClient = createClient({ url: redisUrl || 'redis://localhost:6379' });
+      const subClient = pubClient.duplicate();
+
+      pubClient.on('error', (error) => log.error('redis_error', { client: 'pub', error: error.message }));
+      subClient.on('error', (error) => log.error('redis_error', { client: 'sub', error: error.message }));
+
+      await Promise.all([pubClient.connect(), subClient.connect()]);
+      io.adapter(createAdapter(pubClient, subClient));
+      return adapterMode;
+    }
+
+    default:
+      throw new Error(`Unknown SOCKET_ADAPTER "${adapterMode}" (expected memory, cluster or redis)`);
+  }
+}
+
+module.exports = { setupAdapter };
@@ -0,0 +1,189 @@
+/**
+ * API Auth
+ *
+ * Protects the HTTP API that your backend calls (/api/broadcast/*).
+ * A request is accepted if it carries either:
+ *
+ * 1. An API key:   X-Api-Key: <key>
+ * 2. An HMAC signature over timestamp, method, path (with query string) and raw body:
+ *      X-Timestamp: <unix ms>
+ *      X-Signature: hex(HMAC-SHA256(secret, `${timestamp}.${METHOD} ${path}.${rawBody}`))
+ *
+ * Signed requests outside the replay window, or with a signature that was
+ * already used, are rejected. Used signatures are remembered per process (memory store)
+ * or in Redis (redis store), which is shared by every process using it.
+ *
+ * Backend usage:
+ * const { signRequest } = require('./apiAuth');
+ * const body = JSON.stringify({ gameId, comment });
+ * const path = '/api/broadcast/game-comment/new';
+ * await fetch(baseUrl + path, {
+ *   method: 'POST',
+ *   headers: { 'Content-Type': 'application/json', ...signRequest(secret, { method: 'POST', path, body }) },
+ *   body
+ * });
+ */
+
+const crypto = require('crypto');
+const { ErrorCodes, createError, sendError } = require('./errors');
+const { createLogger } = require('./logger');
+
+const log = createLogger('ApiAuth');
+
+/**
+ * Compute HMAC signature headers for a request
+ * @param {string} secret - Shared HMAC secret
+ * @param {object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path with query string, as received by the server
+ * @param {string} [request.body] - Raw request body exactly as it will be sent
+ * @param {number} [timestamp] - Unix time in ms (defaults to now)
+ * @returns {{'X-Timestamp': string, 'X-Signature': string}}
+ */
+function signRequest(secret, { method, path, body }, timestamp = Date.now()) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${method.toUpperCase()} ${path}.${body || ''}`)
+    .digest('hex');
+
+  return {
+    'X-Timestamp': String(timestamp),
+    'X-Signature': signature
+  };
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Keep raw body for signature checks
+ * Pass as `verify` option to express.json()
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf.toString('utf8');
+}
+
+/**
+ * Used signatures of this process only
+ * With several workers a request can be replayed once on every other worker inside the window.
+ */
+function createMemoryReplayStore() {
+  // signature -> expiresAt
+  const usedSignatures = new Map();
+
+  function prune(now) {
+    for (const [signature, expiresAt] of usedSignatures) {
+      if (expiresAt <= now) {
+        usedSignatures.delete(signature);
+      }
+    }
+  }
+
+  return {
+    async claim(signature, expiresAt) {
+      const now = Date.now();
+      prune(now);
+      if (usedSignatures.has(signature)) {
+        return false;
+      }
+      usedSignatures.set(signature, expiresAt);
+      return true;
+    }
+  };
+}
+
+/**
+ * Used signatures in Redis (`api_signature:${signature}`), shared by all processes
+ * @param {object} options
+ * @param {string} [options.redisUrl]
+ */
+function createRedisReplayStore({ redisUrl }) {
+  const { createClient } = require('redis');
+
+  const client = createClient({ url: redisUrl || 'redis://localhost:6379' });
+  client.on('error', (error) => log.error('redis_error', { error: error.message }));
+  // Commands issued before the connection is up are queued by the client
+  client.connect().catch((error) => log.error('redis_connect_failed', { error: error.message }));
+
+  return {
+    async claim(signature, expiresAt) {
+      const ttlMs = Math.max(expiresAt - Date.now(), 1);
+      const result = await client.set(`api_signature:${signature}`, '1', { NX: true, PX: ttlMs });
+      return result === 'OK';
+    }
+  };
+}
+
+/**
+ * Create Express middleware that requires an API key or HMAC signature
+ * @param {object} options
+ * @param {string[]} [options.apiKeys] - Accepted values of X-Api-Key
+ * @param {string} [options.hmacSecret] - Shared secret for X-Signature
+ * @param {number} [options.replayWindowMs] - Max allowed clock difference for X-Timestamp
+ * @param {object} [options.replayStore] - Used signatures store (createMemoryReplayStore / createRedisReplayStore)
+ * @returns {function(object, object, function): Promise<void>}
+ */
+function createApiAuthMiddleware({
+  apiKeys = [],
+  hmacSecret,
+  replayWindowMs = 5 * 60 * 1000,
+  replayStore = createMemoryReplayStore()
+}) {
+  function reject(res, message) {
+    return sendError(res, 401, createError(ErrorCodes.UNAUTHORIZED, message));
+  }
+
+  return async function requireApiAuth(req, res, next) {
+    const apiKey = req.get('X-Api-Key');
+    if (apiKey) {
+      if (apiKeys.some((key) => safeEqual(key, apiKey))) {
+        // Identify caller without keeping the key itself around (rate limiting, logs)
+        req.apiCaller = `key:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 12)}`;
+        return next();
+      }
+      return reject(res, 'Invalid API key');
+    }
+
+    const signature = req.get('X-Signature');
+    const timestampHeader = req.get('X-Timestamp');
+    if (!hmacSecret || !signature || !timestampHeader) {
+      return reject(res, 'Missing X-Api-Key or X-Signature/X-Timestamp headers');
+    }
+
+    const timestamp = Number(timestampHeader);
+    const now = Date.now();
+    if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > replayWindowMs) {
+      return reject(res, 'Request timestamp outside of allowed window');
+    }
+
+    const expected = signRequest(hmacSecret, {
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody
+    }, timestampHeader)['X-Signature'];
+    if (!safeEqual(expected, signature)) {
+      return reject(res, 'Invalid signature');
+    }
+
+    if (!await replayStore.claim(signature, timestamp + replayWindowMs)) {
+      return reject(res, 'Replayed request');
+    }
+
+    req.apiCaller = 'hmac';
+    next();
+  };
+}
+
+module.exports = {
+  signRequest,
+  captureRawBody,
+  createMemoryReplayStore,
+  createRedisReplayStore,
+  createApiAuthMiddleware
+};
@@ -0,0 +1,78 @@
+/**
+ * Block List
+ *
+ * Which users a user has blocked, as set by the backend (PUT /api/users/:userId/blocked).
+ * A block works both ways for private messages: neither user can message the other.
+ * UserIds are compared as strings, so 42 and "42" are the same user.
+ */
+
+/**
+ * Create in-memory block list
+ */
+function createBlockList() {
+  // String(userId) -> Set(String(blockedUserId))
+  const blocked = new Map();
+
+  /**
+   * Replace user's block list
+   * @param {number|string} userId
+   * @param {Array<number|string>} blockedUserIds
+   */
+  function set(userId, blockedUserIds) {
+    const key = String(userId);
+    if (blockedUserIds.length === 0) {
+      blocked.delete(key);
+    } else {
+      blocked.set(key, new Set(blockedUserIds.map(String)));
+    }
+  }
+
+  /**
+   * Users blocked by user
+   * @param {number|string} userId
+   * @returns {string[]}
+   */
+  function get(userId) {
+    return [...(blocked.get(String(userId)) || [])];
+  }
+
+  /**
+   * Whether either user has blocked the other
+   * @param {number|string} userIdA
+   * @param {number|string} userIdB
+   * @returns {boolean}
+   */
+  function isBlockedBetween(userIdA, userIdB) {
+    const a = String(userIdA);
+    const b = String(userIdB);
+    return Boolean(blocked.get(a)?.has(b) || blocked.get(b)?.has(a));
+  }
+
+  /**
+   * All block lists as plain JSON, for a worker that starts later (see restore)
+   * @returns {Array<[string, string[]]>} userId -> blocked userIds
+   */
+  function snapshot() {
+    return [...blocked].map(([key, userIds]) => [key, [...userIds]]);
+  }
+
+  /**
+   * Replace all block lists with a snapshot() of another worker
+   */
+  function restore(entries) {
+    blocked.clear();
+    for (const [key, userIds] of entries) {
+      blocked.set(key, new Set(userIds));
+    }
+  }
+
+  return {
+    set,
+    get,
+    isBlockedBetween,
+    snapshot,
+    restore
+  };
+}
+
+module.exports = { createBlockList };
@@ -0,0 +1,132 @@
+/**
+ * Clustered Server Entry Point
+ *
+ * Starts a primary process that owns the HTTP port and forks N workers running index.js.
+ * The primary routes each client to the same worker for its whole session (sticky sessions),
+ * which Socket.IO long-polling needs. Workers talk to each other through the cluster adapter
+ * (or Redis with SOCKET_ADAPTER=redis).
+ *
+ * Usage:
+ *   CLUSTER_WORKERS=4 node cluster.js
+ *
+ * METRICS_PORT - serve Prometheus metrics summed over all workers at http://HOST:METRICS_PORT/metrics
+ */
+
+require('dotenv').config();
+const cluster = require('cluster');
+const http = require('http');
+const { createLogger, setLevel } = require('./logger');
+const { loadConfig } = require('./config');
+
+const log = createLogger('Cluster');
+
+// Fail before forking, so a bad setting is reported once instead of by every worker
+let config;
+try {
+  config = loadConfig(process.env, { clustered: true });
+} catch (error) {
+  log.error('config_invalid', { problems: error.problems || [error.message] });
+  process.exit(1);
+}
+setLevel(config.logLevel);
+
+const { port: PORT, host: HOST } = config;
+const { workers: WORKERS, metricsPort: METRICS_PORT } = config.cluster;
+
+/**
+ * Primary: metrics of all workers on a separate port
+ * GET /metrics on the main port is answered by one worker with its own numbers only.
+ */
+function startMetricsServer() {
+  const { AggregatorRegistry } = require('prom-client');
+  const aggregator = new AggregatorRegistry();
+
+  http.createServer(async (req, res) => {
+    if (req.url !== '/metrics') {
+      res.writeHead(404);
+      return res.end();
+    }
+    try {
+      const body = await aggregator.clusterMetrics();
+      res.writeHead(200, { 'Content-Type': aggregator.contentType });
+      res.end(body);
+    } catch (error) {
+      log.error('metrics_failed', { error });
+      res.writeHead(500);
+      res.end(error.message);
+    }
+  }).listen(METRICS_PORT, HOST, () => {
+    log.info('metrics_started', { url: `http://${HOST}:${METRICS_PORT}/metrics` });
+  });
+}
+
+/**
+ * Primary: own the port, fork workers, keep them running
+ */
+function startPrimary() {
+  const { setupMaster } = require('@socket.io/sticky');
+  const { setupPrimary } = require('@socket.io/cluster-adapter');
+
+  const httpServer = http.createServer();
+
+  // Sticky sessions: same client -> same worker
+  setupMaster(httpServer, {
+    loadBalancingMethod: 'least-connection'
+  });
+
+  // Cross-worker messages for the cluster adapter
+  setupPrimary();
+
+  // Sticky forwards raw request bytes to workers, which needs advanced IPC serialization
+  cluster.setupPrimary({ serialization: 'advanced' });
+
+  for (let i = 0; i < WORKERS; i++) {
+    cluster.fork();
+  }
+
+  let shuttingDown = false;
+
+  cluster.on('exit', (worker, code, signal) => {
+    if (shuttingDown) {
+      log.info('worker_stopped', { pid: worker.process.pid, code, signal });
+      if (Object.keys(cluster.workers).length === 0) {
+        process.exit(0);
+      }
+      return;
+    }
+    log.warn('worker_exited', { pid: worker.process.pid, code, signal, restarting: true });
+    cluster.fork();
+  });
+
+  // Stop taking connections and let every worker drain (see shutdown in index.js)
+  function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    log.info('cluster_shutdown', { signal, workers: Object.keys(cluster.workers).length });
+    httpServer.close();
+    for (const worker of Object.values(cluster.workers)) {
+      worker.process.kill('SIGTERM');
+    }
+  }
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  if (METRICS_PORT) {
+    startMetricsServer();
+  }
+
+  httpServer.listen(PORT, HOST, () => {
+    log.info('cluster_started', {
+      url: `http://${HOST}:${PORT}`,
+      workers: WORKERS,
+      adapter: config.adapter.mode
+    });
+  });
+}
+
+if (cluster.isWorker) {
+  require('./index');
+} else {
+  startPrimary();
+}
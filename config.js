@@ -0,0 +1,390 @@
+/**
+ * Config
+ *
+ * Loads every setting from the environment (.env) once at startup, validates it
+ * and fails fast with a list of all problems. Modules get plain values from here
+ * instead of reading process.env.
+ *
+ * describeConfig() returns the effective settings without secrets, for the startup log.
+ */
+
+const cluster = require('cluster');
+const os = require('os');
+const { DEFAULT_SOCKET_POLICIES, DEFAULT_HTTP_POLICY } = require('./rateLimiter');
+const { ROLES, ROLE_MODES } = require('./gameRoles');
+
+const DEFAULT_BROADCAST_EVENTS = [
+  'game_players_updated',
+  'game_started',
+  'game_page_changed',
+  'game_finished',
+  'game_comment_new',
+  'game_comment_edit',
+  'game_comment_delete',
+  'votes_cleared',
+  'notification'
+];
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const ADAPTER_MODES = ['memory', 'cluster', 'redis'];
+const OFFLINE_QUEUE_MODES = ['off', 'memory', 'redis'];
+
+/**
+ * Thrown when settings are invalid; message lists every problem
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Check that value is a URL with one of the protocols
+ * @returns {string|null} Problem, or null if valid
+ */
+function urlProblem(value, protocols) {
+  try {
+    const parsed = new URL(value);
+    if (!protocols.includes(parsed.protocol)) {
+      throw new Error(`unsupported protocol ${parsed.protocol}`);
+    }
+  } catch (error) {
+    return `must be a valid URL, got "${value}" (${error.message})`;
+  }
+  return null;
+}
+
+/**
+ * Create readers for env values that record problems instead of throwing on the first one
+ * @param {object} env
+ */
+function createReader(env) {
+  const problems = [];
+
+  function raw(name) {
+    const value = env[name];
+    return value === undefined || value.trim() === '' ? undefined : value.trim();
+  }
+
+  return {
+    problems,
+
+    string(name, fallback) {
+      return raw(name) ?? fallback;
+    },
+
+    int(name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < min || number > max) {
+        problems.push(`${name} must be an integer between ${min} and ${max}, got "${value}"`);
+        return fallback;
+      }
+      return number;
+    },
+
+    oneOf(name, allowed, fallback) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      if (!allowed.includes(value)) {
+        problems.push(`${name} must be one of ${allowed.join(', ')}, got "${value}"`);
+        return fallback;
+      }
+      return value;
+    },
+
+    list(name, fallback = []) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      return value.split(',').map((item) => item.trim()).filter(Boolean);
+    },
+
+    url(name, protocols = ['http:', 'https:']) {
+      const value = raw(name);
+      if (value === undefined) return undefined;
+      const problem = urlProblem(value, protocols);
+      if (problem) {
+        problems.push(`${name} ${problem}`);
+        return undefined;
+      }
+      return value;
+    },
+
+    json(name, fallback) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        problems.push(`${name} must be valid JSON: ${error.message}`);
+        return fallback;
+      }
+    }
+  };
+}
+
+/**
+ * Rate limit policy must be { capacity > 0, refillPerSec > 0 }
+ */
+function checkPolicy(name, policy, problems) {
+  const valid = policy && typeof policy === 'object' &&
+    Number.isFinite(policy.capacity) && policy.capacity > 0 &&
+    Number.isFinite(policy.refillPerSec) && policy.refillPerSec > 0;
+  if (!valid) {
+    problems.push(`${name} must be { "capacity": > 0, "refillPerSec": > 0 }, got ${JSON.stringify(policy)}`);
+  }
+}
+
+/**
+ * WEBHOOKS entry must be a URL or { url, persistFirst?: boolean, maxAttempts?: integer >= 1 }
+ */
+function checkWebhook(eventName, hook, problems) {
+  const name = `WEBHOOKS["${eventName}"]`;
+  if (typeof hook === 'string') {
+    const problem = urlProblem(hook, ['http:', 'https:']);
+    if (problem) problems.push(`${name} ${problem}`);
+    return;
+  }
+  if (!hook || typeof hook !== 'object' || Array.isArray(hook)) {
+    problems.push(`${name} must be a URL or { "url", "persistFirst" }, got ${JSON.stringify(hook)}`);
+    return;
+  }
+
+  if (typeof hook.url !== 'string') {
+    problems.push(`${name} must have a url`);
+  } else {
+    const problem = urlProblem(hook.url, ['http:', 'https:']);
+    if (problem) problems.push(`${name}.url ${problem}`);
+  }
+  if (hook.persistFirst !== undefined && typeof hook.persistFirst !== 'boolean') {
+    problems.push(`${name}.persistFirst must be true or false, got ${JSON.stringify(hook.persistFirst)}`);
+  }
+  if (hook.maxAttempts !== undefined && !(Number.isInteger(hook.maxAttempts) && hook.maxAttempts >= 1)) {
+    problems.push(`${name}.maxAttempts must be an integer >= 1, got ${JSON.stringify(hook.maxAttempts)}`);
+  }
+}
+
+/**
+ * CORS_ORIGINS entries: "*", exact origins (https://app.example.com) or /regex/
+ * @returns {string|Array<string|RegExp>} Value for Socket.IO `cors.origin`
+ */
+function parseCorsOrigins(entries, problems) {
+  if (entries.includes('*')) {
+    return '*';
+  }
+
+  return entries.map((entry) => {
+    if (entry.length > 2 && entry.startsWith('/') && entry.endsWith('/')) {
+      try {
+        return new RegExp(entry.slice(1, -1));
+      } catch (error) {
+        problems.push(`CORS_ORIGINS pattern ${entry} is not a valid regular expression: ${error.message}`);
+        return null;
+      }
+    }
+    try {
+      const { origin } = new URL(entry);
+      if (origin !== entry.replace(/\/$/, '')) {
+        throw new Error('expected scheme://host[:port] without path');
+      }
+      return origin;
+    } catch (error) {
+      problems.push(`CORS_ORIGINS entry "${entry}" is not an origin (${error.message})`);
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Load and validate configuration
+ * @param {object} [env] - Environment (default process.env)
+ * @param {object} [options]
+ * @param {boolean} [options.clustered] - Running under cluster.js (default adapter is cluster)
+ * @returns {object} Frozen config
+ * @throws {ConfigError}
+ */
+function loadConfig(env = process.env, { clustered = cluster.isWorker } = {}) {
+  const read = createReader(env);
+  const { problems } = read;
+
+  const nodeEnv = read.string('NODE_ENV', 'development');
+  const isDevelopment = nodeEnv === 'development';
+
+  const config = {
+    nodeEnv,
+    isDevelopment,
+    isProduction: nodeEnv === 'production',
+    port: read.int('PORT', 3000, { min: 1, max: 65535 }),
+    host: read.string('HOST', '0.0.0.0'),
+    logLevel: read.oneOf('LOG_LEVEL', LOG_LEVELS, 'info'),
+
+    cors: {
+      origins: parseCorsOrigins(read.list('CORS_ORIGINS', isDevelopment ? ['*'] : []), problems)
+    },
+
+    socket: {
+      pingIntervalMs: read.int('PING_INTERVAL_MS', 25 * 1000, { min: 1000 }),
+      pingTimeoutMs: read.int('PING_TIMEOUT_MS', 20 * 1000, { min: 1000 }),
+      // 0 disables connection state recovery
+      recoveryWindowMs: read.int('RECOVERY_WINDOW_MS', 2 * 60 * 1000)
+    },
+
+    auth: {
+      jwtSecret: read.string('AUTH_JWT_SECRET'),
+      verifyUrl: read.url('AUTH_VERIFY_URL')
+    },
+
+    api: {
+      keys: read.list('API_KEYS'),
+      hmacSecret: read.string('API_HMAC_SECRET'),
+      replayWindowMs: read.int('API_REPLAY_WINDOW_MS', 5 * 60 * 1000, { min: 1000 }),
+      adminKeys: read.list('ADMIN_API_KEYS')
+    },
+
+    roomAuth: {
+      url: read.url('ROOM_AUTH_URL'),
+      cacheTtlMs: read.int('ROOM_AUTH_CACHE_TTL_MS', 60 * 1000)
+    },
+
+    rateLimits: {
+      socketPolicies: { ...DEFAULT_SOCKET_POLICIES, ...read.json('RATE_LIMITS', {}) },
+      maxViolations: read.int('RATE_LIMIT_MAX_VIOLATIONS', 20, { min: 1 }),
+      httpPolicy: read.json('HTTP_RATE_LIMIT', DEFAULT_HTTP_POLICY)
+    },
+
+    eventLogSize: read.int('EVENT_LOG_SIZE', 200, { min: 1 }),
+
+    broadcastAllowedEvents: read.list('BROADCAST_ALLOWED_EVENTS', DEFAULT_BROADCAST_EVENTS),
+
+    // Field of the `vote` object of broadcast_vote_added that the tally counts (see voteStore.js)
+    voteTallyField: read.string('VOTE_TALLY_FIELD', 'choice'),
+
+    // Role of users in a game when neither the backend nor the token sets one (see gameRoles.js)
+    gameDefaultRole: read.oneOf('GAME_DEFAULT_ROLE', ROLES, 'player'),
+    // optional: games without any roles are not restricted (backends that do not assign roles yet)
+    gameRolesMode: read.oneOf('GAME_ROLES', ROLE_MODES, 'required'),
+
+    webhooks: {
+      hooks: read.json('WEBHOOKS', {}),
+      secret: read.string('WEBHOOK_SECRET') || read.string('API_HMAC_SECRET'),
+      timeoutMs: read.int('WEBHOOK_TIMEOUT_MS', 5000, { min: 100 }),
+      maxAttempts: read.int('WEBHOOK_MAX_ATTEMPTS', 5, { min: 1 }),
+      deadLetterFile: read.string('WEBHOOK_DEAD_LETTER_FILE')
+    },
+
+    adapter: {
+      mode: read.oneOf('SOCKET_ADAPTER', ADAPTER_MODES, clustered ? 'cluster' : 'memory'),
+      redisUrl: read.url('REDIS_URL', ['redis:', 'rediss:'])
+    },
+
+    // Events for offline users (see offlineQueue.js); redis mode uses REDIS_URL
+    offlineQueue: {
+      mode: read.oneOf('OFFLINE_QUEUE', OFFLINE_QUEUE_MODES, 'off'),
+      ttlMs: read.int('OFFLINE_QUEUE_TTL_MS', 24 * 60 * 60 * 1000, { min: 1000 }),
+      maxPerUser: read.int('OFFLINE_QUEUE_MAX_PER_USER', 100, { min: 1 }),
+      ackTimeoutMs: read.int('OFFLINE_QUEUE_ACK_TIMEOUT_MS', 10 * 1000, { min: 100 })
+    },
+
+    cluster: {
+      workers: read.int('CLUSTER_WORKERS', os.cpus().length, { min: 1 }),
+      metricsPort: read.int('METRICS_PORT', null, { min: 1, max: 65535 })
+    },
+
+    shutdown: {
+      timeoutMs: read.int('SHUTDOWN_TIMEOUT_MS', 10 * 1000),
+      reconnectDelayMs: read.int('RECONNECT_DELAY_MS', 2000),
+      reconnectJitterMs: read.int('RECONNECT_JITTER_MS', 5000)
+    }
+  };
+
+  for (const [eventName, policy] of Object.entries(config.rateLimits.socketPolicies)) {
+    checkPolicy(`RATE_LIMITS["${eventName}"]`, policy, problems);
+  }
+  checkPolicy('HTTP_RATE_LIMIT', config.rateLimits.httpPolicy, problems);
+
+  if (!config.webhooks.hooks || typeof config.webhooks.hooks !== 'object' || Array.isArray(config.webhooks.hooks)) {
+    problems.push('WEBHOOKS must be a JSON object { eventName: url | { url, persistFirst } }');
+  } else {
+    for (const [eventName, hook] of Object.entries(config.webhooks.hooks)) {
+      checkWebhook(eventName, hook, problems);
+    }
+  }
+
+  if (clustered && config.adapter.mode === 'memory') {
+    problems.push('SOCKET_ADAPTER=memory does not work with cluster.js: workers would not see each other\'s sockets');
+  }
+
+  // Everything but development (production, staging, test, ...) must be secured
+  if (!isDevelopment) {
+    const where = `outside development (NODE_ENV=${nodeEnv})`;
+    if (!config.auth.jwtSecret && !config.auth.verifyUrl) {
+      problems.push(`AUTH_JWT_SECRET or AUTH_VERIFY_URL must be set ${where}`);
+    }
+    if (config.api.keys.length === 0 && !config.api.hmacSecret) {
+      problems.push(`API_KEYS or API_HMAC_SECRET must be set ${where}`);
+    }
+    if (config.cors.origins.length === 0) {
+      problems.push(`CORS_ORIGINS must be set ${where} (comma-separated origins, /regex/ or *)`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return deepFreeze(config);
+}
+
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === 'object' && !(value instanceof RegExp)) {
+      deepFreeze(value);
+    }
+  }
+  return Object.freeze(object);
+}
+
+/**
+ * Effective settings without secrets (keys and secrets are reported as counts / flags)
+ * @param {object} config - Result of loadConfig()
+ */
+function describeConfig(config) {
+  const { origins } = config.cors;
+
+  return {
+    environment: config.nodeEnv,
+    url: `http://${config.host}:${config.port}`,
+    logLevel: config.logLevel,
+    corsOrigins: origins === '*' ? '*' : origins.map(String),
+    pingIntervalMs: config.socket.pingIntervalMs,
+    pingTimeoutMs: config.socket.pingTimeoutMs,
+    recoveryWindowMs: config.socket.recoveryWindowMs,
+    auth: config.auth.jwtSecret ? 'jwt' : config.auth.verifyUrl ? `verify-url ${config.auth.verifyUrl}` : 'anonymous',
+    apiAuth: { apiKeys: config.api.keys.length, hmac: Boolean(config.api.hmacSecret) },
+    adminApi: config.api.adminKeys.length > 0,
+    roomAuthUrl: config.roomAuth.url || null,
+    rateLimits: config.rateLimits.socketPolicies,
+    httpRateLimit: config.rateLimits.httpPolicy,
+    eventLogSize: config.eventLogSize,
+    broadcastAllowedEvents: config.broadcastAllowedEvents,
+    voteTallyField: config.voteTallyField,
+    gameDefaultRole: config.gameDefaultRole,
+    gameRolesMode: config.gameRolesMode,
+    adapter: config.adapter.mode,
+    webhooks: Object.keys(config.webhooks.hooks),
+    offlineQueue: config.offlineQueue.mode === 'off' ? 'off' : {
+      mode: config.offlineQueue.mode,
+      ttlMs: config.offlineQueue.ttlMs,
+      maxPerUser: config.offlineQueue.maxPerUser
+    }
+  };
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  describeConfig
+};
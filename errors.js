@@ -0,0 +1,71 @@
+/**
+ * Errors
+ *
+ * One error shape for socket events and the HTTP API:
+ * { code, message, details? }
+ *
+ * HTTP responses wrap it as { success: false, error: { code, message, details } }.
+ * Socket clients receive it in the ack callback as { ok: false, error },
+ * or in `event_error` as { event, error } when they did not pass a callback.
+ */
+
+const ErrorCodes = {
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  RATE_LIMITED: 'RATE_LIMITED',
+  BACKEND_REJECTED: 'BACKEND_REJECTED',
+  BACKEND_UNAVAILABLE: 'BACKEND_UNAVAILABLE',
+  SHUTTING_DOWN: 'SHUTTING_DOWN',
+  INTERNAL: 'INTERNAL'
+};
+
+/**
+ * Create error object
+ * @param {string} code - One of ErrorCodes
+ * @param {string} message - Human-readable message
+ * @param {any} [details] - Extra data (e.g. validation errors)
+ * @returns {{code: string, message: string, details?: any}}
+ */
+function createError(code, message, details) {
+  return details === undefined ? { code, message } : { code, message, details };
+}
+
+/**
+ * Error thrown by socket event handlers and routes to reject a request
+ * with a stable code. Converted to the error shape with toObject().
+ */
+class RequestError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'RequestError';
+    this.code = code;
+    this.details = details;
+  }
+
+  toObject() {
+    return createError(this.code, this.message, this.details);
+  }
+}
+
+/**
+ * Send error response from Express handler
+ * @param {object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {{code: string, message: string, details?: any}} error
+ */
+function sendError(res, status, error) {
+  return res.status(status).json({
+    success: false,
+    error
+  });
+}
+
+module.exports = {
+  ErrorCodes,
+  RequestError,
+  createError,
+  sendError
+};
@@ -0,0 +1,136 @@
+/**
+ * Event Log
+ *
+ * Per-room sequence numbers and a bounded buffer of recent events,
+ * so clients that were away longer than Socket.IO connection state recovery
+ * can ask for the events they missed.
+ *
+ * Every sequenced event is emitted with a second argument `{ room, seq }`:
+ *
+ * socket.on('game_comment_new', (comment, meta) => { lastSeq[meta.room] = meta.seq; });
+ *
+ * The client then sends `resume({ room, lastSeq })` after rejoining the room.
+ */
+
+/**
+ * Create in-memory event log
+ * @param {object} [options]
+ * @param {number} [options.capacity] - Max buffered events per room
+ * @param {number} [options.idleTtlMs] - Drop buffer of a room without events for this long
+ */
+function createEventLog({ capacity = 200, idleTtlMs = 60 * 60 * 1000 } = {}) {
+  // room -> last issued seq (kept even when the buffer is dropped, so seq never goes back)
+  const sequences = new Map();
+  // room -> { events: Array<{seq, eventName, data}>, lastEventAt }
+  const buffers = new Map();
+
+  /**
+   * Assign next seq to an event and remember it
+   * @param {string} room
+   * @param {string} eventName
+   * @param {any} data
+   * @returns {{room: string, seq: number}} Meta to emit along with the event
+   */
+  function record(room, eventName, data) {
+    const seq = (sequences.get(room) || 0) + 1;
+    sequences.set(room, seq);
+
+    let buffer = buffers.get(room);
+    if (!buffer) {
+      buffer = { events: [], lastEventAt: 0 };
+      buffers.set(room, buffer);
+    }
+
+    buffer.events.push({ seq, eventName, data });
+    if (buffer.events.length > capacity) {
+      buffer.events.shift();
+    }
+    buffer.lastEventAt = Date.now();
+
+    return { room, seq };
+  }
+
+  /**
+   * Last issued seq in room (0 if nothing was emitted yet)
+   * @param {string} room
+   * @returns {number}
+   */
+  function currentSeq(room) {
+    return sequences.get(room) || 0;
+  }
+
+  /**
+   * Events after lastSeq, in order
+   * Returns null when they can not be replayed: the gap is larger than the buffer,
+   * or lastSeq is ahead of the server (server restarted).
+   * @param {string} room
+   * @param {number} lastSeq
+   * @returns {Array<{seq, eventName, data}>|null}
+   */
+  function since(room, lastSeq) {
+    const current = currentSeq(room);
+    if (lastSeq > current) {
+      return null;
+    }
+    if (lastSeq === current) {
+      return [];
+    }
+
+    const buffer = buffers.get(room);
+    const oldestSeq = buffer && buffer.events.length > 0 ? buffer.events[0].seq : current + 1;
+    if (lastSeq < oldestSeq - 1) {
+      return null;
+    }
+
+    return buffer.events.filter((event) => event.seq > lastSeq);
+  }
+
+  /**
+   * Drop buffers of rooms without recent events
+   */
+  function prune() {
+    const threshold = Date.now() - idleTtlMs;
+    for (const [room, buffer] of buffers) {
+      if (buffer.lastEventAt < threshold) {
+        buffers.delete(room);
+      }
+    }
+  }
+
+  /**
+   * Seq numbers and buffers as plain JSON, for a worker that starts later (see restore)
+   * @returns {{sequences: Array<[string, number]>, buffers: Array<[string, object]>}}
+   */
+  function snapshot() {
+    return { sequences: [...sequences], buffers: [...buffers] };
+  }
+
+  /**
+   * Replace seq numbers and buffers with a snapshot() of another worker,
+   * so both go on numbering the rooms the same way
+   */
+  function restore(state) {
+    sequences.clear();
+    buffers.clear();
+    for (const [room, seq] of state.sequences) {
+      sequences.set(room, seq);
+    }
+    for (const [room, buffer] of state.buffers) {
+      buffers.set(room, buffer);
+    }
+  }
+
+  const pruneTimer = setInterval(prune, Math.min(idleTtlMs, 10 * 60 * 1000));
+  pruneTimer.unref();
+
+  return {
+    record,
+    currentSeq,
+    since,
+    prune,
+    snapshot,
+    restore
+  };
+}
+
+module.exports = { createEventLog };
@@ -10,6 +10,7 @@
 // ============================================================================
 
 const { emitNewComment, emitEditComment, emitDeleteComment } = require('socketEmitter');
+const { signRequest } = require('apiAuth');
 
 // В вашем main файле (index.js или app.js):
 // const socketEmitter = require('./socketEmitter');
@@ -170,14 +171,19 @@ async function createCommentWithHTTP(req, res) {
       }
     };
 
-    // 2. ✅ Отправить через HTTP API
-    await fetch('http://localhost:3000/api/broadcast/game-comment/new', {
+    // 2. ✅ Отправить через HTTP API (подписываются метод, путь и тело, см. apiAuth.js)
+    const path = '/api/broadcast/game-comment/new';
+    const body = JSON.stringify({
+      gameId: gameId,
+      comment: fullComment
+    });
+    await fetch('http://localhost:3000' + path, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        gameId: gameId,
-        comment: fullComment
-      })
+      headers: {
+        'Content-Type': 'application/json',
+        ...signRequest(process.env.API_HMAC_SECRET, { method: 'POST', path, body })
+      },
+      body
     });
 
     // 3. Вернуть ответ
@@ -0,0 +1,99 @@
+/**
+ * Game Bans
+ *
+ * Users banned from a game by the backend (POST /api/games/:gameId/ban, /unban).
+ * A banned user cannot join `game_${gameId}` until unbanned.
+ * Ids are compared as strings, so 42 and "42" are the same game / user.
+ */
+
+/**
+ * Create in-memory ban list
+ */
+function createGameBans() {
+  // String(gameId) -> Set(String(userId))
+  const games = new Map();
+
+  /**
+   * Ban user from game
+   * @returns {boolean} Whether the user was not banned before
+   */
+  function ban(gameId, userId) {
+    const key = String(gameId);
+    let users = games.get(key);
+    if (!users) {
+      users = new Set();
+      games.set(key, users);
+    }
+    const added = !users.has(String(userId));
+    users.add(String(userId));
+    return added;
+  }
+
+  /**
+   * Lift ban
+   * @returns {boolean} Whether the user was banned
+   */
+  function unban(gameId, userId) {
+    const key = String(gameId);
+    const users = games.get(key);
+    if (!users || !users.delete(String(userId))) {
+      return false;
+    }
+    if (users.size === 0) {
+      games.delete(key);
+    }
+    return true;
+  }
+
+  /**
+   * Lift all bans of a game
+   */
+  function clearGame(gameId) {
+    games.delete(String(gameId));
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  function isBanned(gameId, userId) {
+    return userId != null && Boolean(games.get(String(gameId))?.has(String(userId)));
+  }
+
+  /**
+   * Banned users of a game
+   * @returns {string[]}
+   */
+  function list(gameId) {
+    return [...(games.get(String(gameId)) || [])];
+  }
+
+  /**
+   * All bans as plain JSON, for a worker that starts later (see restore)
+   * @returns {Array<[string, string[]]>} gameId -> userIds
+   */
+  function snapshot() {
+    return [...games].map(([key, users]) => [key, [...users]]);
+  }
+
+  /**
+   * Replace all bans with a snapshot() of another worker
+   */
+  function restore(entries) {
+    games.clear();
+    for (const [key, users] of entries) {
+      games.set(key, new Set(users));
+    }
+  }
+
+  return {
+    ban,
+    unban,
+    clearGame,
+    isBanned,
+    list,
+    snapshot,
+    restore
+  };
+}
+
+module.exports = { createGameBans };
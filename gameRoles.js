@@ -0,0 +1,125 @@
+/**
+ * Game Roles
+ *
+ * Role of a user in a game: owner, player or spectator.
+ * Which client events each role may send is declared in protocol.js (`roles` of a client event).
+ *
+ * Role of a user is taken from, in order:
+ * 1. the backend (PUT /api/games/:gameId/roles)
+ * 2. the auth token claim `gameRoles`: { "<gameId>": "owner" | "player" | "spectator" }
+ * 3. the default role (GAME_DEFAULT_ROLE, player unless configured)
+ *
+ * Owner-only events therefore need an explicit owner. With GAME_ROLES=optional a game without any roles
+ * (none from the backend, none in the token) is not restricted, for backends that do not assign roles yet.
+ */
+
+const ROLES = ['owner', 'player', 'spectator'];
+const ROLE_MODES = ['required', 'optional'];
+
+/**
+ * Create in-memory role store
+ * @param {object} [options]
+ * @param {string} [options.defaultRole] - Role of users the backend and token say nothing about
+ * @param {string} [options.mode] - required, or optional to leave games without roles unrestricted
+ */
+function createGameRoles({ defaultRole = 'player', mode = 'required' } = {}) {
+  // String(gameId) -> Map(String(userId) -> role)
+  const games = new Map();
+
+  /**
+   * Set or remove (role null) role of a user in a game
+   * @param {number|string} gameId
+   * @param {number|string} userId
+   * @param {string|null} role
+   */
+  function set(gameId, userId, role) {
+    const key = String(gameId);
+    let users = games.get(key);
+
+    if (role == null) {
+      if (users) {
+        users.delete(String(userId));
+        if (users.size === 0) games.delete(key);
+      }
+      return;
+    }
+
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown game role "${role}"`);
+    }
+    if (!users) {
+      users = new Map();
+      games.set(key, users);
+    }
+    users.set(String(userId), role);
+  }
+
+  /**
+   * Drop all roles of a game
+   * @param {number|string} gameId
+   */
+  function clearGame(gameId) {
+    games.delete(String(gameId));
+  }
+
+  /**
+   * Roles set by the backend for a game
+   * @returns {Object<string, string>} userId -> role
+   */
+  function list(gameId) {
+    return Object.fromEntries(games.get(String(gameId)) || []);
+  }
+
+  /**
+   * Effective role of a user
+   * @param {number|string} gameId
+   * @param {number|string|null} userId
+   * @param {object|null} [claims] - Verified token claims (socket.data.auth)
+   * @returns {string|null} Role, or null if the game has no roles and roles are optional
+   */
+  function resolve(gameId, userId, claims) {
+    const users = games.get(String(gameId));
+    const stored = userId != null && users && users.get(String(userId));
+    if (stored) {
+      return stored;
+    }
+
+    const claimed = claims && claims.gameRoles && claims.gameRoles[String(gameId)];
+    if (ROLES.includes(claimed)) {
+      return claimed;
+    }
+
+    return users || mode === 'required' ? defaultRole : null;
+  }
+
+  /**
+   * All roles set by the backend as plain JSON, for a worker that starts later (see restore)
+   * @returns {Array<[string, Array<[string, string]>]>} gameId -> userId -> role
+   */
+  function snapshot() {
+    return [...games].map(([key, users]) => [key, [...users]]);
+  }
+
+  /**
+   * Replace all roles with a snapshot() of another worker
+   */
+  function restore(entries) {
+    games.clear();
+    for (const [key, users] of entries) {
+      games.set(key, new Map(users));
+    }
+  }
+
+  return {
+    set,
+    clearGame,
+    list,
+    resolve,
+    snapshot,
+    restore,
+    defaultRole,
+    mode
+  };
+}
+
+module.exports = { ROLES, ROLE_MODES, createGameRoles };
@@ -0,0 +1,121 @@
+/**
+ * Game State
+ *
+ * Per-game session state, so players who join `game_${gameId}` late
+ * (or reconnect) can catch up without waiting for the next event.
+ *
+ * State is updated from the game events that go through the server:
+ * - game_started       { pageId, ownerId? } - game started on first page
+ * - game_page_changed  { pageId }           - players moved to another page
+ * - game_finished      {}                   - game is over
+ */
+
+const { normalizeId } = require('./protocol');
+
+/**
+ * Create in-memory game state store
+ */
+function createGameStateStore() {
+  // gameId -> state
+  const games = new Map();
+
+  function emptyState(gameId) {
+    return {
+      gameId: normalizeId(gameId),
+      started: false,
+      finished: false,
+      pageId: null,
+      ownerId: null,
+      startedAt: null,
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Apply game event to state
+   * Events that do not change game state are ignored.
+   * @param {number|string} gameId
+   * @param {string} eventName - Server → client event name
+   * @param {object} data - Event payload
+   * @param {object} [context]
+   * @param {number|string} [context.userId] - User that triggered the event
+   * @returns {boolean} Whether the state changed
+   */
+  function applyEvent(gameId, eventName, data, { userId } = {}) {
+    const key = String(gameId);
+    const payload = data || {};
+    const now = new Date().toISOString();
+    const current = games.get(key) || emptyState(key);
+
+    switch (eventName) {
+      case 'game_started':
+        games.set(key, {
+          ...current,
+          started: true,
+          finished: false,
+          pageId: payload.pageId ?? current.pageId,
+          ownerId: normalizeId(payload.ownerId ?? userId ?? current.ownerId),
+          startedAt: now,
+          updatedAt: now
+        });
+        return true;
+
+      case 'game_page_changed':
+        if (payload.pageId == null) return false;
+        games.set(key, { ...current, pageId: payload.pageId, updatedAt: now });
+        return true;
+
+      case 'game_finished':
+        games.set(key, { ...current, finished: true, updatedAt: now });
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Snapshot of game state (empty state for unknown games)
+   * @param {number|string} gameId
+   * @returns {object}
+   */
+  function get(gameId) {
+    return games.get(String(gameId)) || emptyState(String(gameId));
+  }
+
+  /**
+   * Drop state of a game
+   * @param {number|string} gameId
+   */
+  function clear(gameId) {
+    games.delete(String(gameId));
+  }
+
+  /**
+   * All games as plain JSON, for a worker that starts later (see restore)
+   * @returns {Array<[string, object]>}
+   */
+  function snapshot() {
+    return [...games];
+  }
+
+  /**
+   * Replace all games with a snapshot() of another worker
+   */
+  function restore(entries) {
+    games.clear();
+    for (const [key, state] of entries) {
+      games.set(key, state);
+    }
+  }
+
+  return {
+    applyEvent,
+    get,
+    clear,
+    snapshot,
+    restore
+  };
+}
+
+module.exports = { createGameStateStore };
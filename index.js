@@ -1,23 +1,162 @@
 require('dotenv').config();
+const cluster = require('cluster');
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
+const { setupAdapter } = require('./adapter');
+const { createVerifier, createAuthMiddleware } = require('./socketAuth');
+const { captureRawBody, createApiAuthMiddleware, createMemoryReplayStore, createRedisReplayStore } = require('./apiAuth');
+const { createRoomAuthorizer } = require('./roomAuthorizer');
+const { createVoteStore } = require('./voteStore');
+const { createReactionStore } = require('./reactionStore');
+const { createGameStateStore } = require('./gameState');
+const { createPresence } = require('./presence');
+const { createTypingTracker } = require('./typing');
+const { createBlockList } = require('./blockList');
+const { createGameBans } = require('./gameBans');
+const { createGameRoles } = require('./gameRoles');
+const { createOfflineQueue } = require('./offlineQueue');
+const { createEventLog } = require('./eventLog');
+const { createWebhookDispatcher } = require('./webhooks');
+const { createLogger, setLevel, runWithContext, requestContext } = require('./logger');
+const { loadConfig, describeConfig } = require('./config');
+const { createMetrics } = require('./metrics');
+const socketEmitter = require('./socketEmitter');
+const { ErrorCodes, RequestError, createError, sendError } = require('./errors');
+const protocol = require('./protocol');
+const { createSocketRateLimiter, createHttpRateLimiter } = require('./rateLimiter');
+
+const log = createLogger('Server');
+const socketLog = createLogger('Socket.IO');
+const apiLog = createLogger('API');
+
+// All settings, validated once (see config.js and .env)
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  log.error('config_invalid', { problems: error.problems || [error.message] });
+  process.exit(1);
+}
+setLevel(config.logLevel);
 
 const app = express();
 const server = http.createServer(app);
 
 // Socket.IO server configuration
 const io = socketIo(server, {
-  connectionStateRecovery: {},
+  pingInterval: config.socket.pingIntervalMs,
+  pingTimeout: config.socket.pingTimeoutMs,
+  connectionStateRecovery: config.socket.recoveryWindowMs > 0
+    ? { maxDisconnectionDuration: config.socket.recoveryWindowMs }
+    : undefined,
   cors: {
-    origin: "*", // В продакшене укажите конкретный домен
+    origin: config.cors.origins,
     methods: ["GET", "POST"]
   }
 });
 
+// Handshake authentication
+// AUTH_JWT_SECRET - verify JWT locally, AUTH_VERIFY_URL - ask backend to verify token
+// (config.js requires one of them outside development)
+const authVerifier = createVerifier(config.auth);
+
+if (!authVerifier) {
+  log.warn('auth_disabled', { message: 'No token verifier configured - accepting anonymous connections (development only)' });
+}
+
+io.use(createAuthMiddleware({ verifier: authVerifier }));
+
+// Room join authorization
+// ROOM_AUTH_URL - backend endpoint that answers { allowed } for { userId, room }
+// or roomAuthorizer.setResolver() with your own check.
+// Without either, game rooms are allowed in development and refused everywhere else
+const roomAuthorizer = createRoomAuthorizer({ ...config.roomAuth, allowWithoutResolver: config.isDevelopment });
+
+if (!config.roomAuth.url) {
+  log.warn('room_auth_not_configured', {
+    message: config.isDevelopment
+      ? 'No ROOM_AUTH_URL - every game room is allowed (development only)'
+      : 'No ROOM_AUTH_URL - game rooms are refused until roomAuthorizer.setResolver() is called'
+  });
+}
+
+// Rate limits: RATE_LIMITS - per socket event policies (merged over defaults),
+// HTTP_RATE_LIMIT - per API caller policy
+const socketRateLimiter = createSocketRateLimiter({
+  policies: config.rateLimits.socketPolicies,
+  maxViolations: config.rateLimits.maxViolations
+});
+const httpRateLimit = createHttpRateLimiter({
+  policy: config.rateLimits.httpPolicy
+});
+
 // Store connected clients info
 const connectedClients = new Map(); // socketId -> clientInfo
 
+// Client event handlers still running (their acks are not sent yet), awaited on shutdown
+const pendingEvents = new Set();
+
+// Set on SIGTERM/SIGINT: HTTP broadcasts are refused, /health reports `draining`
+let draining = false;
+
+// Server state below is kept in every worker: changes run in all workers (see workerCommands)
+// and a worker that starts later copies it from a running one (see syncStateFromWorkers)
+
+// Authoritative vote state: gameId -> pageId -> userId -> vote, counted by VOTE_TALLY_FIELD
+const voteStore = createVoteStore({ tallyField: config.voteTallyField });
+
+// Emoji reactions on comments: gameId -> commentId -> emoji -> userIds
+const reactions = createReactionStore();
+
+// Game session state for late joiners: gameId -> { started, pageId, ownerId, ... }
+const gameState = createGameStateStore();
+
+// Who is in which game room (across all workers)
+const presence = createPresence(io);
+
+// Who is writing a comment in each game room
+const typing = createTypingTracker({ io });
+
+// Private message blocks set by the backend: userId -> blocked userIds (kept in every worker)
+const blockList = createBlockList();
+
+// Users banned from games by the backend: gameId -> userIds (kept in every worker)
+const gameBans = createGameBans();
+
+// Owner / player / spectator per game, checked against `roles` of client events in protocol.js
+const gameRoles = createGameRoles({ defaultRole: config.gameDefaultRole, mode: config.gameRolesMode });
+
+// Events for users without a connected socket, replayed on their next connect
+// OFFLINE_QUEUE - off | memory | redis (see offlineQueue.js)
+const offlineQueue = config.offlineQueue.mode === 'off'
+  ? null
+  : createOfflineQueue({ ...config.offlineQueue, redisUrl: config.adapter.redisUrl });
+
+// Per-room seq numbers and recent events for `resume`
+const eventLog = createEventLog({
+  capacity: config.eventLogSize
+});
+
+// Client events forwarded to the backend (see webhooks.js)
+// WEBHOOKS - JSON { eventName: url | { url, persistFirst } }, signed with WEBHOOK_SECRET (or API_HMAC_SECRET)
+const webhooks = createWebhookDispatcher(config.webhooks);
+
+// Events the backend may send through POST /api/broadcast/game/:gameId and /user/:userId
+// BROADCAST_ALLOWED_EVENTS - comma-separated list, replaces the defaults (see config.js)
+const broadcastAllowedEvents = new Set(config.broadcastAllowedEvents);
+
+// Prometheus metrics for GET /metrics
+const metrics = createMetrics({ getConnections: () => connectedClients.size });
+
+// Backend code running in this process can use socketEmitter directly
+socketEmitter.init(io, {
+  metrics,
+  offlineQueue,
+  broadcastToGame: (gameId, eventName, data) => broadcastToRoom(getGameRoomName(gameId), eventName, data)
+});
+
 /**
  * Helper: Get room name for game
  */
@@ -26,13 +165,56 @@ function getGameRoomName(gameId) {
 }
 
 /**
- * Helper: Get number of clients in room
+ * Helper: Get gameId from game room name (null for other rooms), as protocol.normalizeId sends it
+ */
+function getGameIdFromRoom(roomName) {
+  return typeof roomName === 'string' && roomName.startsWith('game_')
+    ? protocol.normalizeId(roomName.slice('game_'.length))
+    : null;
+}
+
+/**
+ * Helper: Get number of clients in room (this process only)
  */
 function getRoomSize(roomName) {
   const room = io.sockets.adapter.rooms.get(roomName);
   return room ? room.size : 0;
 }
 
+/**
+ * Helper: Get number of clients in room across all workers
+ * Same as getRoomSize() in single-process mode
+ */
+async function countRoomMembers(roomName) {
+  const sockets = await io.in(roomName).fetchSockets();
+  return sockets.length;
+}
+
+/**
+ * Emit sequenced event to room
+ * Every worker applies it to its server state, keeps it in its event log for `resume`
+ * and sends it with meta { room, seq } to its own sockets (workerCommands.roomEvent).
+ * Every emit to a game goes through here: emitToGame, the socketEmitter helpers and client events.
+ * @param {object} [context] - { userId } of the user that triggered the event
+ */
+function broadcastToRoom(roomName, eventName, data, context) {
+  runEverywhere('roomEvent', roomName, eventName, data, context);
+}
+
+/**
+ * Update server-side game state (game state, reactions, votes) for an event sent to a game room
+ * @param {object} [context] - { userId } of the user that triggered the event
+ */
+function applyGameEvent(gameId, eventName, data, context) {
+  gameState.applyEvent(gameId, eventName, data, context);
+  if (eventName === 'game_comment_delete' && data) {
+    reactions.removeComment(gameId, data.id);
+  }
+  if (eventName === 'votes_cleared' && data) {
+    voteStore.clearPage(gameId, data.pageId);
+  }
+}
+
 /**
  * Emit event to specific game room
  * This function is exported and can be called from your API endpoints
@@ -41,12 +223,279 @@ function emitToGame(gameId, eventName, data) {
   const roomName = getGameRoomName(gameId);
   const clientCount = getRoomSize(roomName);
   
-  io.to(roomName).emit(eventName, data);
+  broadcastToRoom(roomName, eventName, data);
   
-  console.log(`[Emit] ${eventName} to ${roomName} - ${clientCount} clients`);
+  log.info('emitted', { event: eventName, room: roomName, recipients: clientCount });
+  return clientCount;
+}
+
+/**
+ * Add or remove a comment reaction and broadcast `game_comment_reactions` delta to the game room
+ * Nothing is broadcast if the reaction was already there (add) or missing (remove).
+ * @param {{gameId, commentId, emoji, userId, action: ('add'|'remove')}} reaction
+ * @returns {{changed: boolean, count: number, recipients: number}}
+ * @throws {RequestError} INVALID_PAYLOAD when the comment or the game has too many reactions
+ */
+function applyReaction({ gameId, commentId, emoji, userId, action }) {
+  const result = runEverywhere('react', gameId, commentId, emoji, userId, action);
+  if (result.limitReached === 'emoji') {
+    throw new RequestError(ErrorCodes.INVALID_PAYLOAD, `Comment ${commentId} has too many different reactions`);
+  }
+  if (result.limitReached === 'comments') {
+    throw new RequestError(ErrorCodes.INVALID_PAYLOAD, `Game ${gameId} has reactions on too many comments`);
+  }
+
+  const roomName = getGameRoomName(gameId);
+  const recipients = getRoomSize(roomName);
+  if (result.changed) {
+    broadcastToRoom(roomName, 'game_comment_reactions', {
+      gameId: protocol.normalizeId(gameId),
+      commentId,
+      emoji,
+      count: result.count,
+      userId: protocol.normalizeId(userId),
+      action
+    });
+    log.info('emitted', { event: 'game_comment_reactions', room: roomName, commentId, action, recipients });
+  }
+  return { changed: result.changed, count: result.count, recipients };
+}
+
+/**
+ * Emit event to all sockets of a user (user_${userId} room)
+ */
+function emitToUser(userId, eventName, data) {
+  const roomName = `user_${userId}`;
+  const clientCount = getRoomSize(roomName);
+
+  io.to(roomName).emit(eventName, data);
+  metrics.emitted(eventName, clientCount);
+
+  log.info('emitted', { event: eventName, room: roomName, recipients: clientCount });
   return clientCount;
 }
 
+/**
+ * Put event into the user's offline queue
+ * @returns {Promise<{queued: true, queueDepth: number}>}
+ */
+async function queueForUser(userId, eventName, data) {
+  const queueDepth = await offlineQueue.enqueue(userId, eventName, data);
+  log.info('queued', { event: eventName, userId, queueDepth });
+  return { queued: true, queueDepth };
+}
+
+/**
+ * Emit event to all sockets of a user, or queue it if the user has no socket on any worker
+ * Without the offline queue this is emitToUser with a cross-worker recipient count.
+ * @returns {Promise<{recipients: number, queued: boolean, queueDepth?: number}>}
+ */
+async function deliverToUser(userId, eventName, data) {
+  const recipients = await countRoomMembers(`user_${userId}`);
+  if (recipients === 0 && offlineQueue) {
+    return { recipients, ...(await queueForUser(userId, eventName, data)) };
+  }
+  emitToUser(userId, eventName, data);
+  return { recipients, queued: false };
+}
+
+/**
+ * Replay user's offline queue to a socket that just became the user's
+ */
+function flushOfflineQueue(socket, userId) {
+  if (!offlineQueue) {
+    return;
+  }
+  offlineQueue.flush(socket, userId).then((replayed) => {
+    if (replayed > 0) {
+      socketLog.info('queue_flushed', { socketId: socket.id, userId, replayed });
+    }
+  }).catch((error) => {
+    socketLog.error('queue_flush_failed', { socketId: socket.id, userId, error });
+  });
+}
+
+/**
+ * Check event the backend wants to broadcast: allowlisted name, valid data
+ * @param {number|string} [gameId] - Target game; `data.gameId`, if present, must be the same game
+ * @returns {{code, message}|null} Error, or null if event may be sent
+ */
+function checkBroadcastEvent(eventName, data, gameId) {
+  if (!broadcastAllowedEvents.has(eventName)) {
+    return createError(ErrorCodes.FORBIDDEN, `Event "${eventName}" is not allowed for broadcast`);
+  }
+  if (gameId != null && data && data.gameId != null && String(data.gameId) !== String(gameId)) {
+    return createError(ErrorCodes.INVALID_PAYLOAD, `data.gameId ${data.gameId} does not match target game ${gameId}`);
+  }
+  return protocol.validateServerEvent(eventName, data);
+}
+
+/**
+ * Presence: announce that user left a game room
+ * Call after the socket has been removed from the room.
+ * Nothing is sent while the user still has another socket in the room.
+ */
+async function announcePresenceLeft(room, userId) {
+  const gameId = getGameIdFromRoom(room);
+  if (gameId === null || userId == null || await presence.isUserPresent(room, userId)) {
+    return;
+  }
+  io.to(room).emit('presence_left', { gameId, userId: protocol.normalizeId(userId) });
+  socketLog.info('presence_left', { userId, room });
+}
+
+/**
+ * Track running client event handler until it settles
+ */
+function trackPending(task) {
+  pendingEvents.add(task);
+  task.finally(() => pendingEvents.delete(task));
+  return task;
+}
+
+/**
+ * Remove user's sockets in this process from a room
+ * The sockets get `removed_from_room` { room, reason }, unless notify sends something else.
+ * @param {function(object): void} [notify] - Called with every removed socket
+ * @returns {number} Sockets removed
+ */
+function removeUserFromRoomLocal(room, userId, reason, notify) {
+  let removed = 0;
+  for (const socket of io.sockets.sockets.values()) {
+    const clientInfo = connectedClients.get(socket.id);
+    if (!clientInfo || String(clientInfo.userId) !== String(userId) || !clientInfo.rooms.has(room)) {
+      continue;
+    }
+    socket.leave(room);
+    clientInfo.rooms.delete(room);
+    runEverywhere('typingClearSocket', socket.id, room);
+    metrics.left(room);
+    if (notify) {
+      notify(socket);
+    } else {
+      socket.emit('removed_from_room', { room, reason });
+    }
+    removed++;
+  }
+  return removed;
+}
+
+// Commands that must run in every worker, because they touch per-process socket state
+// or the server state every worker keeps a copy of
+const workerCommands = {
+  // Apply event to server state, record it with this worker's seq and send it to this worker's sockets
+  roomEvent(room, eventName, data, context) {
+    const gameId = getGameIdFromRoom(room);
+    if (gameId !== null) {
+      // Sent through the adapter, a missing context arrives as null
+      applyGameEvent(gameId, eventName, data, context || undefined);
+    }
+    io.local.to(room).emit(eventName, data, eventLog.record(room, eventName, data));
+    metrics.emitted(eventName, getRoomSize(room));
+    return getRoomSize(room);
+  },
+  castVote(gameId, pageId, userId, vote) {
+    return voteStore.castVote(gameId, pageId, userId, vote);
+  },
+  react(gameId, commentId, emoji, userId, action) {
+    return action === 'add'
+      ? reactions.react(gameId, commentId, emoji, userId)
+      : reactions.unreact(gameId, commentId, emoji, userId);
+  },
+  // Throttled by the worker of the socket before it is sent here
+  typingStart(room, gameId, userId, socketId) {
+    return typing.start(room, gameId, userId, socketId, { throttle: false });
+  },
+  typingStop(room, userId, socketId) {
+    typing.stop(room, userId, socketId);
+    return 1;
+  },
+  typingClearSocket(socketId, room) {
+    typing.clearSocket(socketId, room);
+    return 1;
+  },
+  // Server state for a worker that starts later (see syncStateFromWorkers)
+  snapshot() {
+    return {
+      uptime: process.uptime(),
+      gameState: gameState.snapshot(),
+      votes: voteStore.snapshot(),
+      reactions: reactions.snapshot(),
+      eventLog: eventLog.snapshot(),
+      bans: gameBans.snapshot(),
+      roles: gameRoles.snapshot(),
+      blockList: blockList.snapshot()
+    };
+  },
+  removeUserFromRoom: removeUserFromRoomLocal,
+  setBlockedUsers(userId, blockedUserIds) {
+    blockList.set(userId, blockedUserIds);
+    return 1;
+  },
+  banUser(gameId, userId) {
+    const room = getGameRoomName(gameId);
+    gameBans.ban(gameId, userId);
+    roomAuthorizer.invalidate(userId, room);
+    return removeUserFromRoomLocal(room, userId, 'banned', (socket) => {
+      socket.emit('removed_from_game', { gameId: protocol.normalizeId(gameId), reason: 'banned' });
+    });
+  },
+  setGameRoles(gameId, roles) {
+    for (const [userId, role] of Object.entries(roles)) {
+      gameRoles.set(gameId, userId, role);
+    }
+    return 1;
+  },
+  unbanUser(gameId, userId) {
+    roomAuthorizer.invalidate(userId, getGameRoomName(gameId));
+    return gameBans.unban(gameId, userId) ? 1 : 0;
+  },
+  forgetGame(gameId) {
+    gameState.clear(gameId);
+    voteStore.clearGame(gameId);
+    reactions.removeGame(gameId);
+    gameRoles.clearGame(gameId);
+    gameBans.clearGame(gameId);
+    return 1;
+  }
+};
+
+for (const [name, command] of Object.entries(workerCommands)) {
+  io.on(`worker:${name}`, (...args) => {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const result = command(...args);
+    if (callback) {
+      callback(result);
+    }
+  });
+}
+
+/**
+ * Run worker command here and, with cluster/redis adapter, in every other worker
+ * @returns {Promise<number>} Sum of the results of all workers
+ */
+async function runOnAllWorkers(name, ...args) {
+  let total = workerCommands[name](...args);
+  if (adapterMode !== 'memory') {
+    const responses = await io.serverSideEmitWithAck(`worker:${name}`, ...args);
+    total += responses.reduce((sum, value) => sum + value, 0);
+  }
+  return total;
+}
+
+/**
+ * Run worker command here and send it to every other worker without waiting for them
+ * Other workers get the commands of one worker in the order they were sent.
+ * @returns {any} Result of the command in this worker
+ */
+function runEverywhere(name, ...args) {
+  const result = workerCommands[name](...args);
+  if (adapterMode !== 'memory') {
+    io.serverSideEmit(`worker:${name}`, ...args);
+  }
+  return result;
+}
+
 // ============================================================================
 // Socket.IO Event Handlers
 // ============================================================================
@@ -56,176 +505,487 @@ io.on('connection', (socket) => {
     id: socket.id,
     connectedAt: new Date(),
     ip: socket.handshake.address,
+    userId: socket.data.userId,
+    authenticated: socket.data.userId != null,
     rooms: new Set()
   };
   
   connectedClients.set(socket.id, clientInfo);
+  metrics.connected();
   
-  console.log(`[Socket.IO] Client connected: ${socket.id} from ${clientInfo.ip}`);
+  socketLog.info('client_connected', { socketId: socket.id, userId: clientInfo.userId, ip: clientInfo.ip });
+
+  // Per-event token buckets; flooding clients get `rate_limited` and are eventually disconnected
+  socketRateLimiter.attach(socket, clientInfo);
+
+  /**
+   * Register client event handler
+   * - payload is validated against the protocol registry (protocol.js) before the handler runs
+   * - handler returns extra result fields (e.g. { recipients }) or throws RequestError
+   * - if the client passed an ack callback it gets { ok: true, ...result } or { ok: false, error };
+   *   without a callback errors are sent as `event_error`
+   * - everything logged while handling the event carries socketId and userId
+   * - running handlers are tracked, so shutdown can wait for their acks
+   * - game events are checked against their `roles` (see authorizeGameEvent)
+   */
+  function onEvent(eventName, handler) {
+    socket.on(eventName, (...args) => trackPending(runWithContext({ socketId: socket.id, userId: clientInfo.userId }, async () => {
+      const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const payload = args[0];
+      metrics.eventReceived(eventName);
+
+      try {
+        const validationError = protocol.validateClientEvent(eventName, payload);
+        if (validationError) {
+          throw new RequestError(validationError.code, validationError.message, validationError.details);
+        }
+        const roles = protocol.getEventRoles(eventName);
+        if (roles) {
+          authorizeGameEvent(eventName, payload.gameId, roles);
+        }
+
+        const result = await handler(payload);
+        if (ack) {
+          ack({ ok: true, ...result });
+        }
+      } catch (err) {
+        let error;
+        if (err instanceof RequestError) {
+          error = err.toObject();
+          socketLog.warn('event_rejected', { event: eventName, code: error.code, error: error.message });
+        } else {
+          error = createError(ErrorCodes.INTERNAL, 'Internal server error');
+          socketLog.error('event_failed', { event: eventName, error: err });
+        }
+        metrics.eventRejected(eventName, error.code);
+
+        if (ack) {
+          ack({ ok: false, error });
+        } else {
+          socket.emit('event_error', { event: eventName, error });
+        }
+      }
+    })));
+  }
+
+  /**
+   * Game events: sender must be in the game room and have one of the event's roles
+   * (with GAME_ROLES=optional games without roles are not restricted, see gameRoles.js)
+   * @throws {RequestError} NOT_IN_ROOM / FORBIDDEN
+   */
+  function authorizeGameEvent(eventName, gameId, roles) {
+    const roomName = getGameRoomName(gameId);
+    if (!clientInfo.rooms.has(roomName)) {
+      throw new RequestError(ErrorCodes.NOT_IN_ROOM, `Socket is not in room ${roomName}`);
+    }
+    const role = gameRoles.resolve(gameId, clientInfo.userId, socket.data.auth);
+    if (role !== null && !roles.includes(role)) {
+      throw new RequestError(ErrorCodes.FORBIDDEN, `${eventName} requires role ${roles.join(' or ')}, you are ${role}`, { role, roles });
+    }
+  }
+
+  // Sender of client events forwarded to webhooks (userId may be set later by `register`)
+  const hookContext = () => ({ socketId: socket.id, userId: clientInfo.userId });
+
+  // Authenticated sockets get their private room right away
+  if (clientInfo.authenticated) {
+    const userRoom = `user_${clientInfo.userId}`;
+    socket.join(userRoom);
+    clientInfo.rooms.add(userRoom);
+    metrics.joined(userRoom);
+    socketLog.info('user_authenticated', { socketId: socket.id, userId: clientInfo.userId, room: userRoom });
+    flushOfflineQueue(socket, clientInfo.userId);
+  }
+
+  /**
+   * Recovered socket (connection state recovery) is back in the rooms it had before the drop;
+   * leave the ones it has been banned from or lost access to in the meantime, keep the others in clientInfo.rooms
+   */
+  async function recheckRecoveredRooms() {
+    const restored = [...socket.rooms].filter((room) => room !== socket.id);
+    await Promise.all(restored.map(async (room) => {
+      const gameId = getGameIdFromRoom(room);
+      const isBanned = () => gameId !== null && gameBans.isBanned(gameId, clientInfo.userId);
+      const allowed = !isBanned() && await roomAuthorizer.canJoin(clientInfo.userId, room);
+      // Checked again: a ban may have arrived while the resolver was answering
+      const banned = isBanned();
+      if (allowed && !banned) {
+        // Room events, `resume` and `message` check clientInfo.rooms
+        if (socket.connected && socket.rooms.has(room) && !clientInfo.rooms.has(room)) {
+          clientInfo.rooms.add(room);
+          metrics.joined(room);
+        }
+        return;
+      }
+
+      socket.leave(room);
+      socketLog.warn('recovered_room_denied', { room, banned });
+      if (banned) {
+        socket.emit('removed_from_game', { gameId: protocol.normalizeId(gameId), reason: 'banned' });
+      } else {
+        socket.emit('removed_from_room', { room, reason: 'forbidden' });
+      }
+    }));
+  }
+
+  if (socket.recovered) {
+    recheckRecoveredRooms().catch((error) => {
+      socketLog.error('recovered_rooms_check_failed', { socketId: socket.id, error });
+    });
+  }
 
   // ============================================================================
   // JOIN ROOM - Client subscribes to game updates
   // ============================================================================
-  socket.on('joinRoom', (room) => {
+  onEvent('joinRoom', async (room) => {
+    const gameId = getGameIdFromRoom(room);
+    const isBanned = () => gameId !== null && gameBans.isBanned(gameId, clientInfo.userId);
+    const allowed = !isBanned() && await roomAuthorizer.canJoin(clientInfo.userId, room);
+    // Checked again: a ban may have arrived while the resolver was answering
+    const banned = isBanned();
+
+    if (!allowed || banned) {
+      const reason = banned ? 'You are banned from this game' : 'Not allowed to join this room';
+      socketLog.warn('join_denied', { room, banned });
+      socket.emit('message', {
+        room: room,
+        message: {
+          type: 'subscribed',
+          status: 'error',
+          room: room,
+          error: reason
+        }
+      });
+      throw new RequestError(ErrorCodes.FORBIDDEN, reason);
+    }
+
+    // Client may have disconnected while the resolver was answering
+    if (!socket.connected) {
+      return {};
+    }
+
+    // Join time orders devices of one user joining at once (see presence.isFirstUserSocket)
+    socket.data.joinedAt = { ...socket.data.joinedAt, [room]: Date.now() };
     socket.join(room);
     clientInfo.rooms.add(room);
+    metrics.joined(room);
     
     const roomSize = getRoomSize(room);
-    console.log(`[Socket.IO] ${socket.id} joined room: ${room} (${roomSize} clients)`);
+    socketLog.info('room_joined', { room, recipients: roomSize });
     
+    const seq = eventLog.currentSeq(room);
+
     // Confirm subscription
     socket.emit('message', {
       room: room,
       message: {
         type: 'subscribed',
         status: 'success',
-        room: room
+        room: room,
+        seq
       }
     });
+
+    // Late joiners and reconnects catch up with the current game session
+    if (gameId !== null) {
+      socket.emit('game_state', gameState.get(gameId));
+      socket.emit('presence_list', { gameId, userIds: await presence.getPresentUsers(room) });
+      socket.emit('game_comment_reactions_snapshot', {
+        gameId,
+        comments: reactions.getCounts(gameId),
+        mine: clientInfo.userId != null ? reactions.getUserReactions(gameId, clientInfo.userId) : {}
+      });
+
+      // Other devices of the same user are already announced
+      if (clientInfo.userId != null && await presence.isFirstUserSocket(room, clientInfo.userId, socket.id)) {
+        socket.to(room).emit('presence_joined', { gameId, userId: protocol.normalizeId(clientInfo.userId) });
+        socketLog.info('presence_joined', { room });
+      }
+    }
+
+    return { room, recipients: roomSize, seq };
   });
 
   // ============================================================================
   // LEAVE ROOM - Client unsubscribes from game updates
   // ============================================================================
-  socket.on('leaveRoom', (room) => {
+  onEvent('leaveRoom', async (room) => {
+    const wasInRoom = clientInfo.rooms.has(room);
+
     socket.leave(room);
     clientInfo.rooms.delete(room);
     
     const roomSize = getRoomSize(room);
-    console.log(`[Socket.IO] ${socket.id} left room: ${room} (${roomSize} clients remaining)`);
+    socketLog.info('room_left', { room, recipients: roomSize });
+
+    if (wasInRoom) {
+      metrics.left(room);
+      runEverywhere('typingClearSocket', socket.id, room);
+      await announcePresenceLeft(room, clientInfo.userId);
+    }
+
+    return { room, recipients: roomSize };
   });
 
   // ============================================================================
   // REGISTER - Register user for private messages
+  // Authenticated sockets are registered at handshake; only their own id is accepted.
+  // Anonymous registration is left for development without a token verifier.
   // ============================================================================
-  socket.on('register', (userId) => {
+  onEvent('register', (userId) => {
+    if (clientInfo.authenticated) {
+      if (String(userId) !== String(clientInfo.userId)) {
+        throw new RequestError(ErrorCodes.FORBIDDEN, `Socket is authenticated as user ${clientInfo.userId}`);
+      }
+      return { userId: clientInfo.userId };
+    }
+
     const userRoom = `user_${userId}`;
     socket.join(userRoom);
     clientInfo.userId = userId;
+    socket.data.userId = userId;
     clientInfo.rooms.add(userRoom);
+    metrics.joined(userRoom);
     
-    console.log(`[Socket.IO] User ${userId} registered with socket ${socket.id}`);
+    socketLog.info('user_registered', { userId, room: userRoom });
+    flushOfflineQueue(socket, userId);
+    return { userId };
   });
 
   // ============================================================================
   // BROADCAST PLAYERS UPDATED - Notify all clients in game room to refresh player list
   // (e.g. after join, exit, block, unblock, game deleted)
+  // Blocking itself is enforced with POST /api/games/:gameId/ban
   // ============================================================================
-  socket.on('broadcast_players_updated', ({ gameId }) => {
-    if (!gameId) {
-      console.warn('[Socket.IO] broadcast_players_updated: missing gameId');
-      return;
-    }
+  onEvent('broadcast_players_updated', ({ gameId }) => {
     const roomName = getGameRoomName(gameId);
     const recipientCount = getRoomSize(roomName);
-    io.to(roomName).emit('game_players_updated', { gameId });
-    console.log(`[Socket.IO] broadcast_players_updated → ${roomName} (${recipientCount} clients)`);
+    broadcastToRoom(roomName, 'game_players_updated', { gameId });
+    socketLog.info('emitted', { event: 'game_players_updated', room: roomName, recipients: recipientCount });
+    return { recipients: recipientCount };
   });
 
   // ============================================================================
   // BROADCAST GAME STARTED - Owner started the game; notify all players to open first page
+  // Owner only (roles in protocol.js)
   // ============================================================================
-  socket.on('broadcast_game_started', ({ gameId, pageId }) => {
-    if (!gameId || pageId == null) {
-      console.warn('[Socket.IO] broadcast_game_started: missing gameId or pageId');
-      return;
-    }
+  onEvent('broadcast_game_started', ({ gameId, pageId }) => {
     const roomName = getGameRoomName(gameId);
     const recipientCount = getRoomSize(roomName);
-    io.to(roomName).emit('game_started', { gameId, pageId });
-    console.log(`[Socket.IO] game_started → ${roomName} pageId=${pageId} (${recipientCount} clients)`);
+    broadcastToRoom(roomName, 'game_started', { gameId, pageId }, { userId: clientInfo.userId });
+    socketLog.info('emitted', { event: 'game_started', room: roomName, pageId, recipients: recipientCount });
+    return { recipients: recipientCount };
   });
 
   // ============================================================================
-  // BROADCAST VOTE ADDED - Client voted, server broadcasts to room
+  // BROADCAST VOTE ADDED - Client voted, server records it and broadcasts the tally
+  // One vote per user per page; voting again replaces the previous vote
+  // Owner and players only, spectators watch
   // ============================================================================
-  socket.on('broadcast_vote_added', ({ gameId, pageId, vote }) => {
-    if (!gameId || !pageId || !vote) {
-      console.warn('[Socket.IO] broadcast_vote_added: missing gameId, pageId or vote');
-      return;
+  onEvent('broadcast_vote_added', async (payload) => {
+    if (clientInfo.userId == null) {
+      throw new RequestError(ErrorCodes.UNAUTHORIZED, 'Voting requires an authenticated user');
     }
+    const { gameId, pageId, vote } = await webhooks.deliver('broadcast_vote_added', payload, hookContext());
     const roomName = getGameRoomName(gameId);
     const recipientCount = getRoomSize(roomName);
-    io.to(roomName).emit('vote_added', { gameId, pageId, vote });
-    console.log(`[Socket.IO] vote_added → ${roomName} page ${pageId} (${recipientCount} clients)`);
+    const userVote = { ...vote, userId: protocol.normalizeId(clientInfo.userId) };
+    const { changed } = runEverywhere('castVote', gameId, pageId, clientInfo.userId, userVote);
+    broadcastToRoom(roomName, 'vote_added', { gameId, pageId, vote: userVote });
+    broadcastToRoom(roomName, 'vote_tally', voteStore.getTally(gameId, pageId));
+    socketLog.info('emitted', { event: 'vote_added', room: roomName, pageId, changed, recipients: recipientCount });
+    return { recipients: recipientCount };
   });
 
   // ============================================================================
   // BROADCAST VOTES CLEARED - Opinions divided, votes reset
+  // Owner only
   // ============================================================================
-  socket.on('broadcast_votes_cleared', ({ gameId, pageId }) => {
-    if (!gameId || !pageId) {
-      console.warn('[Socket.IO] broadcast_votes_cleared: missing gameId or pageId');
-      return;
-    }
+  onEvent('broadcast_votes_cleared', ({ gameId, pageId }) => {
     const roomName = getGameRoomName(gameId);
     const recipientCount = getRoomSize(roomName);
-    io.to(roomName).emit('votes_cleared', { gameId, pageId });
-    console.log(`[Socket.IO] votes_cleared → ${roomName} page ${pageId} (${recipientCount} clients)`);
+    broadcastToRoom(roomName, 'votes_cleared', { gameId, pageId });
+    socketLog.info('emitted', { event: 'votes_cleared', room: roomName, pageId, recipients: recipientCount });
+    return { recipients: recipientCount };
   });
 
   // ============================================================================
   // BROADCAST COMMENT - Client sends new comment, server broadcasts to room
   // So all other clients (and sender via echo) get real-time update
   // ============================================================================
-  socket.on('broadcast_comment_new', ({ gameId, comment }) => {
-    if (!gameId || !comment) {
-      console.warn('[Socket.IO] broadcast_comment_new: missing gameId or comment');
-      return;
+  onEvent('broadcast_comment_new', async (payload) => {
+    const roomName = getGameRoomName(payload.gameId);
+    const { comment } = await webhooks.deliver('broadcast_comment_new', payload, hookContext());
+    const recipientCount = getRoomSize(roomName);
+    if (clientInfo.userId != null) {
+      runEverywhere('typingStop', roomName, clientInfo.userId, socket.id);
     }
+    broadcastToRoom(roomName, 'game_comment_new', comment);
+    socketLog.info('emitted', { event: 'game_comment_new', room: roomName, recipients: recipientCount });
+    return { recipients: recipientCount };
+  });
+
+  // ============================================================================
+  // COMMENT REACT / UNREACT - Emoji reaction on a comment
+  // One reaction per user per emoji; the room gets `game_comment_reactions` deltas
+  // ============================================================================
+  function handleReaction(eventName, action) {
+    return async (payload) => {
+      if (clientInfo.userId == null) {
+        throw new RequestError(ErrorCodes.UNAUTHORIZED, 'Reactions require an authenticated user');
+      }
+      const { gameId, commentId, emoji } = await webhooks.deliver(eventName, payload, hookContext());
+      return applyReaction({ gameId, commentId, emoji, userId: clientInfo.userId, action });
+    };
+  }
+
+  onEvent('comment_react', handleReaction('comment_react', 'add'));
+  onEvent('comment_unreact', handleReaction('comment_unreact', 'remove'));
+
+  // ============================================================================
+  // TYPING START / STOP - Client is writing a comment
+  // Fanned out as debounced `game_typing` to the rest of the room
+  // ============================================================================
+  onEvent('typing_start', ({ gameId }) => {
     const roomName = getGameRoomName(gameId);
-    // Only broadcast if sender is in the room
-    if (!clientInfo.rooms.has(roomName)) {
-      console.warn(`[Socket.IO] Socket ${socket.id} not in room ${roomName}, ignoring broadcast`);
-      return;
+    if (clientInfo.userId == null || !clientInfo.rooms.has(roomName)) {
+      throw new RequestError(ErrorCodes.NOT_IN_ROOM, `Socket is not in room ${roomName}`);
     }
-    const recipientCount = getRoomSize(roomName);
-    io.to(roomName).emit('game_comment_new', comment);
-    console.log(`[Socket.IO] broadcast_comment_new → ${roomName} (${recipientCount} clients)`);
+    const accepted = typing.start(roomName, gameId, clientInfo.userId, socket.id);
+    if (accepted && adapterMode !== 'memory') {
+      io.serverSideEmit('worker:typingStart', roomName, gameId, clientInfo.userId, socket.id);
+    }
+    return { accepted };
+  });
+
+  onEvent('typing_stop', ({ gameId }) => {
+    const roomName = getGameRoomName(gameId);
+    if (clientInfo.userId == null || !clientInfo.rooms.has(roomName)) {
+      throw new RequestError(ErrorCodes.NOT_IN_ROOM, `Socket is not in room ${roomName}`);
+    }
+    runEverywhere('typingStop', roomName, clientInfo.userId, socket.id);
+  });
+
+  // ============================================================================
+  // RESUME - Client came back after a long gap and asks for missed events
+  // Missed events are re-sent in order with their original meta { room, seq };
+  // if they are no longer buffered the client gets `resync_required` and should reload state
+  // ============================================================================
+  onEvent('resume', ({ room, lastSeq }) => {
+    if (!clientInfo.rooms.has(room)) {
+      throw new RequestError(ErrorCodes.NOT_IN_ROOM, `Socket is not in room ${room}`);
+    }
+
+    const missed = eventLog.since(room, lastSeq);
+    if (missed === null) {
+      socket.emit('resync_required', { room, lastSeq, seq: eventLog.currentSeq(room) });
+      socketLog.info('resync_required', { room, lastSeq, seq: eventLog.currentSeq(room) });
+      return { resyncRequired: true, seq: eventLog.currentSeq(room) };
+    }
+
+    for (const event of missed) {
+      socket.emit(event.eventName, event.data, { room, seq: event.seq });
+    }
+    socketLog.info('resumed', { room, lastSeq, replayed: missed.length });
+    return { resyncRequired: false, replayed: missed.length, seq: eventLog.currentSeq(room) };
   });
 
   // ============================================================================
-  // MESSAGE - Send message to room
+  // MESSAGE - Send message to a room the socket has joined
+  // User rooms are not allowed, use privateMessage
   // ============================================================================
-  socket.on('message', ({ room, message }) => {
-    console.log(`[Socket.IO] Message from ${socket.id} to room ${room}`);
+  onEvent('message', async (payload) => {
+    if (payload.room.startsWith('user_')) {
+      throw new RequestError(ErrorCodes.FORBIDDEN, 'Messages to user rooms are not allowed, use privateMessage');
+    }
+    if (!clientInfo.rooms.has(payload.room)) {
+      throw new RequestError(ErrorCodes.NOT_IN_ROOM, `Socket is not in room ${payload.room}`);
+    }
+    const { room, message } = await webhooks.deliver('message', payload, hookContext());
     io.to(room).emit('message', {
       room: room,
       message: message,
       from: socket.id
     });
+    const recipients = getRoomSize(room);
+    metrics.emitted('message', recipients);
+    socketLog.info('emitted', { event: 'message', room, recipients });
+    return { recipients };
   });
 
   // ============================================================================
-  // PRIVATE MESSAGE - Send message to specific user
+  // PRIVATE MESSAGE - Send message to a user, on every device
+  // Delivered to user_${toUserId}; the sender's other sockets get the same message as an echo.
+  // Ack tells the sender whether any device of the recipient was online.
   // ============================================================================
-  socket.on('privateMessage', ({ to, message }) => {
-    console.log(`[Socket.IO] Private message from ${socket.id} to ${to}`);
-    io.to(to).emit('privateMessage', {
-      message: message,
-      from: socket.id
-    });
+  onEvent('privateMessage', async (payload) => {
+    if (clientInfo.userId == null) {
+      throw new RequestError(ErrorCodes.UNAUTHORIZED, 'Private messages require an authenticated user');
+    }
+    if (String(payload.toUserId) === String(clientInfo.userId)) {
+      throw new RequestError(ErrorCodes.INVALID_PAYLOAD, 'Cannot send a private message to yourself');
+    }
+    if (blockList.isBlockedBetween(clientInfo.userId, payload.toUserId)) {
+      throw new RequestError(ErrorCodes.FORBIDDEN, `Private messages between you and user ${payload.toUserId} are blocked`);
+    }
+
+    const { toUserId, message } = await webhooks.deliver('privateMessage', payload, hookContext());
+    const recipientRoom = `user_${toUserId}`;
+    const privateMessage = {
+      id: crypto.randomUUID(),
+      from: protocol.normalizeId(clientInfo.userId),
+      to: protocol.normalizeId(toUserId),
+      message,
+      sentAt: new Date().toISOString()
+    };
+
+    const recipients = await countRoomMembers(recipientRoom);
+    let status = 'delivered';
+    if (recipients > 0) {
+      io.to(recipientRoom).emit('privateMessage', privateMessage);
+      metrics.emitted('privateMessage', recipients);
+    } else if (offlineQueue) {
+      await offlineQueue.enqueue(toUserId, 'privateMessage', privateMessage);
+      status = 'queued';
+    } else {
+      status = 'offline';
+    }
+    socket.to(`user_${clientInfo.userId}`).emit('privateMessage', privateMessage);
+
+    socketLog.info('emitted', { event: 'privateMessage', room: recipientRoom, recipients, status });
+    return { id: privateMessage.id, status, recipients };
   });
 
   // ============================================================================
   // DISCONNECT
   // ============================================================================
   socket.on('disconnect', (reason, details) => {
-    console.log(`[Socket.IO] Client disconnected: ${socket.id}`);
-    console.log(`[Socket.IO] Reason: ${reason}`);
-    
-    if (details) {
-      console.log(`[Socket.IO] Details:`, details);
-    }
+    socketLog.info('client_disconnected', {
+      socketId: socket.id,
+      userId: clientInfo.userId,
+      reason,
+      details: details && (details.description instanceof Error ? details.description.message : details.description)
+    });
     
     connectedClients.delete(socket.id);
+    metrics.disconnected(reason);
+    runEverywhere('typingClearSocket', socket.id);
+
+    // Socket.IO has already removed the socket from its rooms
+    for (const room of clientInfo.rooms) {
+      metrics.left(room);
+      // fetchSockets rejects when another worker does not answer in time
+      announcePresenceLeft(room, clientInfo.userId).catch((error) => {
+        socketLog.error('presence_left_failed', { socketId: socket.id, userId: clientInfo.userId, room, error });
+      });
+    }
   });
 
   // ============================================================================
   // ERROR
   // ============================================================================
   socket.on('error', (error) => {
-    console.error(`[Socket.IO] Error from ${socket.id}:`, error);
+    socketLog.error('socket_error', { socketId: socket.id, userId: clientInfo.userId, error });
   });
 });
 
@@ -233,12 +993,52 @@ io.on('connection', (socket) => {
 // HTTP API - For your backend to call after DB operations
 // ============================================================================
 
-app.use(express.json());
+// Correlation id (X-Request-Id) for every log entry of the request
+app.use(requestContext);
+app.use(metrics.httpMiddleware);
+app.use(express.json({ verify: captureRawBody }));
+
+const { isDevelopment } = config;
+
+// Backend-to-server calls must be signed
+// API_KEYS - comma-separated keys for X-Api-Key, API_HMAC_SECRET - secret for X-Signature
+// (config.js requires one of them outside development)
+// Used signatures are kept in Redis with SOCKET_ADAPTER=redis, otherwise per process
+let requireApiAuth;
+
+if (config.api.keys.length > 0 || config.api.hmacSecret) {
+  requireApiAuth = createApiAuthMiddleware({
+    apiKeys: config.api.keys,
+    hmacSecret: config.api.hmacSecret,
+    replayWindowMs: config.api.replayWindowMs,
+    replayStore: config.api.hmacSecret && config.adapter.mode === 'redis'
+      ? createRedisReplayStore({ redisUrl: config.adapter.redisUrl })
+      : createMemoryReplayStore()
+  });
+} else {
+  apiLog.warn('api_auth_disabled', { message: 'No API_KEYS or API_HMAC_SECRET configured - HTTP API is unprotected (development only)' });
+  requireApiAuth = (req, res, next) => next();
+}
+
+/**
+ * Refuse requests while shutting down, so the backend retries on another instance
+ */
+function rejectWhileDraining(req, res, next) {
+  if (draining) {
+    res.set('Retry-After', '5');
+    return sendError(res, 503, createError(ErrorCodes.SHUTTING_DOWN, 'Server is shutting down'));
+  }
+  next();
+}
+
+app.use('/api/broadcast', rejectWhileDraining, requireApiAuth, httpRateLimit);
 
-// Health check endpoint
+// Health check endpoint (503 while draining, so load balancers stop routing here)
 app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
+  res.status(draining ? 503 : 200).json({
+    status: draining ? 'draining' : 'ok',
+    adapter: adapterMode,
+    worker: cluster.isWorker ? cluster.worker.id : null,
     clients: connectedClients.size,
     rooms: io.sockets.adapter.rooms.size,
     uptime: process.uptime(),
@@ -246,10 +1046,16 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus metrics (this process; cluster primary aggregates all workers on METRICS_PORT)
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', metrics.register.contentType);
+  res.send(await metrics.register.metrics());
+});
+
 // Get room info
-app.get('/api/room/:roomName', (req, res) => {
+app.get('/api/room/:roomName', async (req, res) => {
   const { roomName } = req.params;
-  const size = getRoomSize(roomName);
+  const size = await countRoomMembers(roomName);
   
   res.json({
     room: roomName,
@@ -258,6 +1064,11 @@ app.get('/api/room/:roomName', (req, res) => {
   });
 });
 
+// Machine-readable protocol: socket events and HTTP bodies as JSON Schema
+app.get('/api/protocol', (req, res) => {
+  res.json(protocol.getProtocol());
+});
+
 // ============================================================================
 // BROADCAST ENDPOINTS - Call these from your backend API
 // ============================================================================
@@ -267,33 +1078,19 @@ app.get('/api/room/:roomName', (req, res) => {
  * POST /api/broadcast/game-comment/new
  * Body: { gameId: number, comment: object }
  */
-app.post('/api/broadcast/game-comment/new', (req, res) => {
+app.post('/api/broadcast/game-comment/new', protocol.validateBody('POST /api/broadcast/game-comment/new'), async (req, res) => {
   const { gameId, comment } = req.body;
 
-  if (!gameId || !comment) {
-    return res.status(400).json({ 
-      error: 'Missing required fields',
-      required: ['gameId', 'comment']
-    });
-  }
-
-  // Validate comment has required fields
-  if (!comment.id || !comment.text) {
-    return res.status(400).json({ 
-      error: 'Comment must have id and text fields' 
-    });
-  }
-
   const roomName = getGameRoomName(gameId);
   
   // Emit to Socket.IO room
-  const recipientCount = emitToGame(gameId, 'game_comment_new', comment);
+  emitToGame(gameId, 'game_comment_new', comment);
 
   res.json({ 
     success: true, 
     gameId,
     room: roomName,
-    recipients: recipientCount,
+    recipients: await countRoomMembers(roomName),
     event: 'game_comment_new',
     timestamp: new Date().toISOString()
   });
@@ -304,30 +1101,17 @@ app.post('/api/broadcast/game-comment/new', (req, res) => {
  * POST /api/broadcast/game-comment/edit
  * Body: { gameId: number, comment: object }
  */
-app.post('/api/broadcast/game-comment/edit', (req, res) => {
+app.post('/api/broadcast/game-comment/edit', protocol.validateBody('POST /api/broadcast/game-comment/edit'), async (req, res) => {
   const { gameId, comment } = req.body;
 
-  if (!gameId || !comment) {
-    return res.status(400).json({ 
-      error: 'Missing required fields',
-      required: ['gameId', 'comment']
-    });
-  }
-
-  if (!comment.id) {
-    return res.status(400).json({ 
-      error: 'Comment must have id field' 
-    });
-  }
-
   const roomName = getGameRoomName(gameId);
-  const recipientCount = emitToGame(gameId, 'game_comment_edit', comment);
+  emitToGame(gameId, 'game_comment_edit', comment);
 
   res.json({ 
     success: true, 
     gameId,
     room: roomName,
-    recipients: recipientCount,
+    recipients: await countRoomMembers(roomName),
     event: 'game_comment_edit',
     timestamp: new Date().toISOString()
   });
@@ -338,18 +1122,11 @@ app.post('/api/broadcast/game-comment/edit', (req, res) => {
  * POST /api/broadcast/game-comment/delete
  * Body: { gameId: number, commentId: number }
  */
-app.post('/api/broadcast/game-comment/delete', (req, res) => {
+app.post('/api/broadcast/game-comment/delete', protocol.validateBody('POST /api/broadcast/game-comment/delete'), async (req, res) => {
   const { gameId, commentId } = req.body;
 
-  if (!gameId || !commentId) {
-    return res.status(400).json({
-      error: 'Missing required fields',
-      required: ['gameId', 'commentId']
-    });
-  }
-
   const roomName = getGameRoomName(gameId);
-  const recipientCount = emitToGame(gameId, 'game_comment_delete', {
+  emitToGame(gameId, 'game_comment_delete', {
     id: commentId,
     gameId: gameId
   });
@@ -359,29 +1136,53 @@ app.post('/api/broadcast/game-comment/delete', (req, res) => {
     gameId,
     commentId,
     room: roomName,
-    recipients: recipientCount,
+    recipients: await countRoomMembers(roomName),
     event: 'game_comment_delete',
     timestamp: new Date().toISOString()
   });
 });
 
 /**
- * Broadcast votes cleared - opinions divided, users need to vote again
- * POST /api/broadcast/votes-cleared
- * Body: { gameId: number, pageId: number }
+ * Add or remove a user's reaction (e.g. made through the backend's REST API)
+ * POST /api/broadcast/game-comment/reaction
+ * Body: { gameId, commentId, emoji, userId, action: 'add' | 'remove' }
  */
-app.post('/api/broadcast/votes-cleared', (req, res) => {
-  const { gameId, pageId } = req.body;
-
-  if (!gameId || pageId == null) {
-    return res.status(400).json({
-      error: 'Missing required fields',
-      required: ['gameId', 'pageId']
-    });
+app.post('/api/broadcast/game-comment/reaction', protocol.validateBody('POST /api/broadcast/game-comment/reaction'), async (req, res) => {
+  let result;
+  try {
+    result = applyReaction(req.body);
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return sendError(res, 400, error.toObject());
+    }
+    throw error;
   }
 
+  const { gameId, commentId, emoji, action } = req.body;
+  res.json({
+    success: true,
+    gameId,
+    commentId,
+    emoji,
+    action,
+    changed: result.changed,
+    count: result.count,
+    recipients: await countRoomMembers(getGameRoomName(gameId)),
+    event: 'game_comment_reactions',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Broadcast votes cleared - opinions divided, users need to vote again
+ * POST /api/broadcast/votes-cleared
+ * Body: { gameId: number, pageId: number }
+ */
+app.post('/api/broadcast/votes-cleared', protocol.validateBody('POST /api/broadcast/votes-cleared'), async (req, res) => {
+  const { gameId, pageId } = req.body;
+
   const roomName = getGameRoomName(gameId);
-  const recipientCount = emitToGame(gameId, 'votes_cleared', {
+  emitToGame(gameId, 'votes_cleared', {
     gameId,
     pageId
   });
@@ -391,70 +1192,730 @@ app.post('/api/broadcast/votes-cleared', (req, res) => {
     gameId,
     pageId,
     room: roomName,
-    recipients: recipientCount,
+    recipients: await countRoomMembers(roomName),
     event: 'votes_cleared',
     message: 'Votes cleared - opinions were divided',
     timestamp: new Date().toISOString()
   });
 });
 
-// ============================================================================
-// Test endpoint - Send test message to room
-// ============================================================================
-app.post('/api/test/send-message', (req, res) => {
-  const { gameId, message } = req.body;
-  
-  if (!gameId) {
-    return res.status(400).json({ error: 'gameId is required' });
+/**
+ * Broadcast any allowlisted event to game room
+ * POST /api/broadcast/game/:gameId
+ * Body: { event: string, data: any }
+ */
+app.post('/api/broadcast/game/:gameId', protocol.validateBody('POST /api/broadcast/game/:gameId'), async (req, res) => {
+  const { gameId } = req.params;
+  const { event, data } = req.body;
+
+  const error = checkBroadcastEvent(event, data, gameId);
+  if (error) {
+    return sendError(res, error.code === ErrorCodes.FORBIDDEN ? 403 : 400, error);
   }
 
   const roomName = getGameRoomName(gameId);
-  const testMessage = message || 'Test message from server';
-  
-  io.to(roomName).emit('message', {
+  emitToGame(gameId, event, data);
+
+  res.json({
+    success: true,
+    gameId,
     room: roomName,
-    message: testMessage,
-    type: 'test'
+    recipients: await countRoomMembers(roomName),
+    event,
+    timestamp: new Date().toISOString()
   });
+});
+
+/**
+ * Send any allowlisted event to all sockets of a user
+ * POST /api/broadcast/user/:userId
+ * Body: { event: string, data: any }
+ */
+app.post('/api/broadcast/user/:userId', protocol.validateBody('POST /api/broadcast/user/:userId'), async (req, res) => {
+  const { userId } = req.params;
+  const { event, data } = req.body;
+
+  const error = checkBroadcastEvent(event, data);
+  if (error) {
+    return sendError(res, error.code === ErrorCodes.FORBIDDEN ? 403 : 400, error);
+  }
+
+  const roomName = `user_${userId}`;
+  const delivery = await deliverToUser(userId, event, data);
 
   res.json({
     success: true,
+    userId,
     room: roomName,
-    recipients: getRoomSize(roomName),
-    message: testMessage
+    ...delivery,
+    event,
+    timestamp: new Date().toISOString()
   });
 });
 
+/**
+ * Emit several events in one request, e.g. everything a backend transaction changed
+ * POST /api/broadcast/batch
+ * Body: { items: [{ target: { gameId } | { userId }, event: string, data: any }] }
+ * The whole batch is checked first: one bad item rejects it and nothing is sent.
+ */
+app.post('/api/broadcast/batch', protocol.validateBody('POST /api/broadcast/batch'), async (req, res) => {
+  const { items } = req.body;
+
+  const itemErrors = [];
+  items.forEach((item, index) => {
+    const error = checkBroadcastEvent(item.event, item.data, item.target.gameId);
+    if (error) {
+      itemErrors.push({ index, error });
+    }
+  });
+  if (itemErrors.length > 0) {
+    return sendError(res, 400, createError(ErrorCodes.INVALID_PAYLOAD, 'Batch rejected, nothing was sent', itemErrors));
+  }
+
+  // With the offline queue, find users without sockets before emitting anything
+  const offlineUsers = new Set();
+  if (offlineQueue) {
+    const userIds = new Set(items.filter(({ target }) => target.userId != null).map(({ target }) => String(target.userId)));
+    await Promise.all([...userIds].map(async (userId) => {
+      if (await countRoomMembers(`user_${userId}`) === 0) {
+        offlineUsers.add(userId);
+      }
+    }));
+  }
+
+  // Emit (or queue) synchronously in order, count recipients afterwards
+  const sent = items.map(({ target, event, data }) => {
+    if (target.gameId != null) {
+      emitToGame(target.gameId, event, data);
+      return { target, event, room: getGameRoomName(target.gameId) };
+    }
+    const room = `user_${target.userId}`;
+    if (offlineUsers.has(String(target.userId))) {
+      return { target, event, room, queuing: queueForUser(target.userId, event, data) };
+    }
+    emitToUser(target.userId, event, data);
+    return { target, event, room };
+  });
+
+  const results = await Promise.all(sent.map(async ({ queuing, ...result }, index) => ({
+    index,
+    ...result,
+    recipients: await countRoomMembers(result.room),
+    ...(queuing ? await queuing : {})
+  })));
+
+  res.json({
+    success: true,
+    count: results.length,
+    results,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// GAME STATE ENDPOINTS - Read server-side state of a game
+// ============================================================================
+
+app.use('/api/games', requireApiAuth, httpRateLimit);
+
+/**
+ * Current game session state
+ * GET /api/games/:gameId/state
+ */
+app.get('/api/games/:gameId/state', (req, res) => {
+  res.json({
+    success: true,
+    ...gameState.get(req.params.gameId),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Users currently in the game room
+ * GET /api/games/:gameId/presence
+ */
+app.get('/api/games/:gameId/presence', async (req, res) => {
+  const { gameId } = req.params;
+  const roomName = getGameRoomName(gameId);
+  const userIds = await presence.getPresentUsers(roomName);
+
+  res.json({
+    success: true,
+    gameId,
+    room: roomName,
+    userIds,
+    count: userIds.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Current vote tally of a page
+ * GET /api/games/:gameId/pages/:pageId/votes
+ */
+app.get('/api/games/:gameId/pages/:pageId/votes', (req, res) => {
+  const { gameId, pageId } = req.params;
+
+  res.json({
+    success: true,
+    ...voteStore.getTally(gameId, pageId),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Reaction counts of all comments in a game
+ * GET /api/games/:gameId/reactions
+ */
+app.get('/api/games/:gameId/reactions', (req, res) => {
+  const { gameId } = req.params;
+
+  res.json({
+    success: true,
+    gameId,
+    comments: reactions.getCounts(gameId),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Set roles of users in a game; a role of null removes the one set before
+ * PUT /api/games/:gameId/roles
+ * Body: { roles: { [userId]: 'owner' | 'player' | 'spectator' | null } }
+ */
+app.put('/api/games/:gameId/roles', protocol.validateBody('PUT /api/games/:gameId/roles'), async (req, res) => {
+  const { gameId } = req.params;
+  const { roles } = req.body;
+
+  await runOnAllWorkers('setGameRoles', gameId, roles);
+  apiLog.info('game_roles_set', { gameId, roles });
+
+  res.json({
+    success: true,
+    gameId,
+    roles: gameRoles.list(gameId),
+    defaultRole: gameRoles.defaultRole,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Roles set by the backend for a game (others get the token role or the default role)
+ * GET /api/games/:gameId/roles
+ */
+app.get('/api/games/:gameId/roles', (req, res) => {
+  const { gameId } = req.params;
+
+  res.json({
+    success: true,
+    gameId,
+    roles: gameRoles.list(gameId),
+    defaultRole: gameRoles.defaultRole,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Ban user from game: their sockets leave the room at once and later joins are refused
+ * POST /api/games/:gameId/ban
+ * Body: { userId }
+ */
+app.post('/api/games/:gameId/ban', protocol.validateBody('POST /api/games/:gameId/ban'), async (req, res) => {
+  const { gameId } = req.params;
+  const userId = String(req.body.userId);
+  const roomName = getGameRoomName(gameId);
+
+  const removed = await runOnAllWorkers('banUser', gameId, userId);
+  if (removed > 0) {
+    await announcePresenceLeft(roomName, userId);
+  }
+  apiLog.info('user_banned', { gameId, userId, removed });
+
+  res.json({
+    success: true,
+    gameId,
+    userId,
+    removed,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Lift ban
+ * POST /api/games/:gameId/unban
+ * Body: { userId }
+ */
+app.post('/api/games/:gameId/unban', protocol.validateBody('POST /api/games/:gameId/unban'), async (req, res) => {
+  const { gameId } = req.params;
+  const userId = String(req.body.userId);
+
+  const wasBanned = gameBans.isBanned(gameId, userId);
+  await runOnAllWorkers('unbanUser', gameId, userId);
+  apiLog.info('user_unbanned', { gameId, userId, wasBanned });
+
+  res.json({
+    success: true,
+    gameId,
+    userId,
+    wasBanned,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Users banned from game
+ * GET /api/games/:gameId/bans
+ */
+app.get('/api/games/:gameId/bans', (req, res) => {
+  const { gameId } = req.params;
+
+  res.json({
+    success: true,
+    gameId,
+    userIds: gameBans.list(gameId),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Forget a deleted game: state, votes, reactions, roles and bans, in every worker
+ * Sockets stay in the room; tell clients with a broadcast (e.g. game_players_updated) if needed.
+ * DELETE /api/games/:gameId
+ */
+app.delete('/api/games/:gameId', async (req, res) => {
+  const { gameId } = req.params;
+
+  await runOnAllWorkers('forgetGame', gameId);
+  apiLog.info('game_forgotten', { gameId });
+
+  res.json({
+    success: true,
+    gameId,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// USER ENDPOINTS - Per-user settings pushed by the backend
+// ============================================================================
+
+app.use('/api/users', requireApiAuth, httpRateLimit);
+
+/**
+ * Replace user's block list (private messages are refused both ways)
+ * PUT /api/users/:userId/blocked
+ * Body: { userIds: [...] }
+ */
+app.put('/api/users/:userId/blocked', protocol.validateBody('PUT /api/users/:userId/blocked'), async (req, res) => {
+  const { userId } = req.params;
+  const blockedUserIds = req.body.userIds.map(String);
+
+  const workers = await runOnAllWorkers('setBlockedUsers', userId, blockedUserIds);
+  apiLog.info('blocked_users_set', { userId, count: blockedUserIds.length, workers });
+
+  res.json({
+    success: true,
+    userId,
+    blockedUserIds,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Events waiting in user's offline queue
+ * GET /api/users/:userId/queue
+ */
+app.get('/api/users/:userId/queue', async (req, res) => {
+  const { userId } = req.params;
+
+  res.json({
+    success: true,
+    userId,
+    enabled: offlineQueue !== null,
+    queueDepth: offlineQueue ? await offlineQueue.depth(userId) : 0,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * User's block list
+ * GET /api/users/:userId/blocked
+ */
+app.get('/api/users/:userId/blocked', (req, res) => {
+  const { userId } = req.params;
+
+  res.json({
+    success: true,
+    userId,
+    blockedUserIds: blockList.get(userId),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// ADMIN ENDPOINTS - Inspect and manage connections (all workers)
+// ADMIN_API_KEYS - comma-separated keys for X-Api-Key; without them admin API is disabled
+// ============================================================================
+
+const adminApiKeys = config.api.adminKeys;
+
+/**
+ * Connection info of a (possibly remote) socket
+ */
+function describeSocket(socket) {
+  return {
+    socketId: socket.id,
+    userId: socket.data.userId ?? null,
+    authenticated: socket.data.auth != null,
+    ip: socket.handshake.address,
+    connectedAt: new Date(socket.handshake.time).toISOString(),
+    rooms: [...socket.rooms].filter((room) => room !== socket.id)
+  };
+}
+
+if (adminApiKeys.length > 0) {
+  app.use('/api/admin', createApiAuthMiddleware({ apiKeys: adminApiKeys }), httpRateLimit);
+
+  /**
+   * Connected clients
+   * GET /api/admin/clients?userId=&room=&ip=&authenticated=true|false
+   */
+  app.get('/api/admin/clients', async (req, res) => {
+    const { userId, room, ip, authenticated } = req.query;
+    const sockets = await (room ? io.in(room) : io).fetchSockets();
+
+    const clients = sockets.map(describeSocket).filter((client) =>
+      (userId === undefined || String(client.userId) === userId) &&
+      (ip === undefined || client.ip === ip) &&
+      (authenticated === undefined || String(client.authenticated) === authenticated)
+    );
+
+    res.json({
+      success: true,
+      count: clients.length,
+      clients,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Rooms with sizes and members
+   * GET /api/admin/rooms?prefix=game_
+   */
+  app.get('/api/admin/rooms', async (req, res) => {
+    const { prefix } = req.query;
+    const rooms = new Map(); // room -> members
+
+    for (const socket of await io.fetchSockets()) {
+      for (const room of socket.rooms) {
+        if (room === socket.id || (prefix && !room.startsWith(prefix))) {
+          continue;
+        }
+        if (!rooms.has(room)) {
+          rooms.set(room, []);
+        }
+        rooms.get(room).push({ socketId: socket.id, userId: socket.data.userId ?? null });
+      }
+    }
+
+    const list = [...rooms.entries()]
+      .map(([room, members]) => ({ room, size: members.length, members }))
+      .sort((a, b) => b.size - a.size);
+
+    res.json({
+      success: true,
+      count: list.length,
+      rooms: list,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Disconnect one socket
+   * POST /api/admin/clients/:socketId/disconnect
+   */
+  app.post('/api/admin/clients/:socketId/disconnect', async (req, res) => {
+    const { socketId } = req.params;
+    const sockets = await io.in(socketId).fetchSockets();
+    if (sockets.length === 0) {
+      return sendError(res, 404, createError(ErrorCodes.NOT_FOUND, `Socket ${socketId} is not connected`));
+    }
+
+    io.in(socketId).disconnectSockets(true);
+    apiLog.info('admin_disconnect', { socketId, userId: sockets[0].data.userId });
+
+    res.json({
+      success: true,
+      socketId,
+      disconnected: sockets.length,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Disconnect every socket of a user
+   * POST /api/admin/users/:userId/disconnect
+   */
+  app.post('/api/admin/users/:userId/disconnect', async (req, res) => {
+    const { userId } = req.params;
+    const userRoom = `user_${userId}`;
+    const sockets = await io.in(userRoom).fetchSockets();
+
+    io.in(userRoom).disconnectSockets(true);
+    apiLog.info('admin_disconnect_user', { userId, disconnected: sockets.length });
+
+    res.json({
+      success: true,
+      userId,
+      disconnected: sockets.length,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Remove user from room; the user's sockets get `removed_from_room`
+   * POST /api/admin/rooms/:room/kick
+   * Body: { userId }
+   */
+  app.post('/api/admin/rooms/:room/kick', protocol.validateBody('POST /api/admin/rooms/:room/kick'), async (req, res) => {
+    const { room } = req.params;
+    const userId = String(req.body.userId);
+
+    const removed = await runOnAllWorkers('removeUserFromRoom', room, userId, 'kicked');
+    if (removed > 0) {
+      await announcePresenceLeft(room, userId);
+    }
+    apiLog.info('admin_kick', { room, userId, removed });
+
+    res.json({
+      success: true,
+      room,
+      userId,
+      removed,
+      timestamp: new Date().toISOString()
+    });
+  });
+} else {
+  apiLog.info('admin_api_disabled', { message: 'Set ADMIN_API_KEYS to enable /api/admin' });
+}
+
+// ============================================================================
+// Test endpoint - Send test message to room (development only)
+// ============================================================================
+if (isDevelopment) {
+  app.post('/api/test/send-message', rejectWhileDraining, requireApiAuth, httpRateLimit, protocol.validateBody('POST /api/test/send-message'), async (req, res) => {
+    const { gameId, message } = req.body;
+
+    const roomName = getGameRoomName(gameId);
+    const testMessage = message || 'Test message from server';
+
+    io.to(roomName).emit('message', {
+      room: roomName,
+      message: testMessage,
+      type: 'test'
+    });
+
+    res.json({
+      success: true,
+      room: roomName,
+      recipients: await countRoomMembers(roomName),
+      message: testMessage
+    });
+  });
+}
+
+// Uniform error shape for malformed JSON bodies and unexpected route errors
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, createError(ErrorCodes.INVALID_PAYLOAD, `Malformed JSON body: ${err.message}`));
+  }
+  apiLog.error('request_failed', { method: req.method, path: req.originalUrl, error: err });
+  sendError(res, err.status || 500, createError(ErrorCodes.INTERNAL, 'Internal server error'));
+});
+
 // ============================================================================
 // Export for use in other files (optional)
 // ============================================================================
-module.exports = { io, emitToGame, getGameRoomName };
+module.exports = { io, emitToGame, emitToUser, deliverToUser, getGameRoomName, roomAuthorizer };
 
 // ============================================================================
 // Server startup
 // ============================================================================
 
-const PORT = process.env.PORT || 3000;
-const HOST = process.env.HOST || '0.0.0.0';
-
-server.listen(PORT, HOST, () => {
-  console.log('='.repeat(80));
-  console.log(`🚀 Socket.IO Server Started`);
-  console.log('='.repeat(80));
-  console.log(`📡 HTTP Server:    http://${HOST}:${PORT}`);
-  console.log(`🔌 Socket.IO:      http://${HOST}:${PORT} (auto-upgrade to WebSocket)`);
-  console.log(`❤️  Health Check:   http://${HOST}:${PORT}/health`);
-  console.log('='.repeat(80));
-  console.log(`📝 API Endpoints for Broadcasting:`);
-  console.log(`   POST /api/broadcast/game-comment/new    - Broadcast new comment`);
-  console.log(`   POST /api/broadcast/game-comment/edit   - Broadcast edit`);
-  console.log(`   POST /api/broadcast/game-comment/delete - Broadcast delete`);
-  console.log(`   POST /api/broadcast/votes-cleared       - Broadcast votes cleared`);
-  console.log(`   POST /api/test/send-message             - Test message`);
-  console.log('='.repeat(80));
-  console.log(`⚙️  Environment:    ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🕐 Started at:     ${new Date().toISOString()}`);
-  console.log('='.repeat(80));
-  console.log(`\n✅ Server ready! React Native app can connect to: http://${HOST}:${PORT}`);
-  console.log(`\n💡 Tip: Use http://localhost:${PORT}/health to check server status\n`);
+const { port: PORT, host: HOST } = config;
+
+// SOCKET_ADAPTER - memory | cluster | redis (see adapter.js), REDIS_URL for redis
+let adapterMode = 'memory';
+
+/**
+ * Copy server state from the worker that runs longest, before this one takes connections
+ * With the cluster adapter, other workers are known from their answer to this worker's first heartbeat.
+ * Changes made while the snapshot is on its way are not in it.
+ */
+async function syncStateFromWorkers() {
+  if (adapterMode === 'cluster') {
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+
+  let snapshots;
+  try {
+    snapshots = await io.serverSideEmitWithAck('worker:snapshot');
+  } catch (error) {
+    log.warn('state_sync_failed', { error: error.message });
+    return;
+  }
+
+  const source = snapshots.reduce((best, snapshot) => (!best || snapshot.uptime > best.uptime ? snapshot : best), null);
+  if (!source) {
+    log.info('state_sync_skipped', { reason: 'no other workers' });
+    return;
+  }
+
+  gameState.restore(source.gameState);
+  voteStore.restore(source.votes);
+  reactions.restore(source.reactions);
+  eventLog.restore(source.eventLog);
+  gameBans.restore(source.bans);
+  gameRoles.restore(source.roles);
+  blockList.restore(source.blockList);
+  log.info('state_synced', { workers: snapshots.length, games: source.gameState.length });
+}
+
+async function start() {
+  adapterMode = await setupAdapter(io, config.adapter);
+  if (adapterMode !== 'memory') {
+    await syncStateFromWorkers();
+  }
+
+  // Cluster worker: the primary (cluster.js) owns the port and hands connections over
+  if (cluster.isWorker) {
+    const { setupWorker } = require('@socket.io/sticky');
+    setupWorker(io);
+    log.info('worker_ready', { worker: cluster.worker.id, pid: process.pid, adapter: adapterMode });
+    return;
+  }
+
+  server.listen(PORT, HOST, () => {
+    log.info('server_started', {
+      url: `http://${HOST}:${PORT}`,
+      health: `http://${HOST}:${PORT}/health`,
+      environment: config.nodeEnv,
+      adapter: adapterMode,
+      config: describeConfig(config),
+      webhooks: webhooks.events(),
+      apiAuth: 'X-Api-Key or X-Signature + X-Timestamp',
+      endpoints: [
+        'POST /api/broadcast/game-comment/new',
+        'POST /api/broadcast/game-comment/edit',
+        'POST /api/broadcast/game-comment/delete',
+        'POST /api/broadcast/game-comment/reaction',
+        'POST /api/broadcast/votes-cleared',
+        'POST /api/broadcast/game/:gameId',
+        'POST /api/broadcast/user/:userId',
+        'POST /api/broadcast/batch',
+        'GET /api/games/:gameId/state',
+        'GET /api/games/:gameId/presence',
+        'GET /api/games/:gameId/pages/:pageId/votes',
+        'GET /api/games/:gameId/reactions',
+        'PUT /api/games/:gameId/roles',
+        'GET /api/games/:gameId/roles',
+        'POST /api/games/:gameId/ban',
+        'POST /api/games/:gameId/unban',
+        'GET /api/games/:gameId/bans',
+        'DELETE /api/games/:gameId',
+        'PUT /api/users/:userId/blocked',
+        'GET /api/users/:userId/blocked',
+        'GET /api/users/:userId/queue',
+        ...(isDevelopment ? ['POST /api/test/send-message'] : []),
+        ...(adminApiKeys.length > 0 ? [
+          'GET /api/admin/clients',
+          'GET /api/admin/rooms',
+          'POST /api/admin/clients/:socketId/disconnect',
+          'POST /api/admin/users/:userId/disconnect',
+          'POST /api/admin/rooms/:room/kick'
+        ] : []),
+        'GET /api/protocol',
+        'GET /metrics'
+      ]
+    });
+  });
+}
+
+start().catch((error) => {
+  log.error('start_failed', { error });
+  process.exit(1);
 });
+
+// ============================================================================
+// Graceful shutdown
+// SHUTDOWN_TIMEOUT_MS - max wait for pending acks and webhooks
+// RECONNECT_DELAY_MS + random RECONNECT_JITTER_MS - delay suggested to clients in `server_restarting`
+// ============================================================================
+
+const {
+  timeoutMs: SHUTDOWN_TIMEOUT_MS,
+  reconnectDelayMs: RECONNECT_DELAY_MS,
+  reconnectJitterMs: RECONNECT_JITTER_MS
+} = config.shutdown;
+
+async function shutdown(signal) {
+  if (draining) {
+    // Ctrl+C in a cluster reaches workers twice (terminal + primary); only a repeat in single process forces exit
+    if (cluster.isWorker) return;
+    log.warn('shutdown_forced', { signal });
+    process.exit(1);
+  }
+  draining = true;
+  log.info('shutdown_started', {
+    signal,
+    clients: connectedClients.size,
+    pendingEvents: pendingEvents.size,
+    pendingWebhooks: webhooks.pendingCount()
+  });
+
+  // Spread reconnects, so every phone does not come back at the same moment
+  for (const socket of io.sockets.sockets.values()) {
+    socket.emit('server_restarting', {
+      reconnectDelayMs: RECONNECT_DELAY_MS + Math.floor(Math.random() * RECONNECT_JITTER_MS)
+    });
+  }
+
+  let timer;
+  const timedOut = await Promise.race([
+    Promise.allSettled([...pendingEvents, webhooks.drain()]).then(() => false),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve(true), SHUTDOWN_TIMEOUT_MS);
+    })
+  ]);
+  clearTimeout(timer);
+  if (timedOut) {
+    log.warn('shutdown_timeout', {
+      timeoutMs: SHUTDOWN_TIMEOUT_MS,
+      pendingEvents: pendingEvents.size,
+      pendingWebhooks: webhooks.pendingCount()
+    });
+  }
+
+  // Close transports first: unlike io.close() this flushes packets still queued (the acks sent just now).
+  // Clients see "transport close" and reconnect by themselves, to another instance
+  for (const connection of Object.values(io.engine.clients)) {
+    connection.close();
+  }
+  const flushDeadline = Date.now() + 1000;
+  while (io.engine.clientsCount > 0 && Date.now() < flushDeadline) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+
+  // Closes the HTTP server too (in a cluster worker it is not listening)
+  io.close((error) => {
+    if (error && error.code !== 'ERR_SERVER_NOT_RUNNING') {
+      log.error('shutdown_close_failed', { error });
+    }
+    log.info('shutdown_complete', { timedOut });
+    process.exit(0);
+  });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
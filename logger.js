@@ -0,0 +1,108 @@
+/**
+ * Logger
+ *
+ * JSON lines on stdout, one object per entry:
+ * {"time":"...","level":"info","component":"Socket.IO","msg":"emitted","event":"game_comment_new","socketId":"...","userId":"7","room":"game_5","recipients":3}
+ *
+ * `msg` is what happened (stable snake_case id), `event` is the Socket.IO event name if any.
+ *
+ * Level: debug | info | warn | error (default info), set from LOG_LEVEL by config.js via setLevel().
+ *
+ * Context (requestId of an HTTP request, socketId of a socket event) is kept in
+ * AsyncLocalStorage and added to every entry logged while handling it,
+ * including async work such as webhook retries.
+ *
+ * Usage:
+ * const log = createLogger('Webhook');
+ * log.warn('webhook_retry', { event: 'broadcast_vote_added', attempt: 2, status: 500 });
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contextStorage = new AsyncLocalStorage();
+
+let minLevel = LEVELS.info;
+
+/**
+ * Set minimum level to output
+ * @param {string} level - debug | info | warn | error
+ */
+function setLevel(level) {
+  if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+    throw new Error(`Unknown log level "${level}", expected one of: ${Object.keys(LEVELS).join(', ')}`);
+  }
+  minLevel = LEVELS[level];
+}
+
+/**
+ * Errors are not JSON-serializable, keep message, code and stack
+ */
+function serialize(value) {
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
+}
+
+function write(level, component, msg, fields) {
+  if (LEVELS[level] < minLevel) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg,
+    ...contextStorage.getStore(),
+    ...fields
+  };
+
+  process.stdout.write(`${JSON.stringify(entry, (key, value) => serialize(value))}\n`);
+}
+
+/**
+ * Create logger for a module
+ * @param {string} component - Module name, e.g. 'Socket.IO'
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ *   each (msg: string, fields?: object)
+ */
+function createLogger(component) {
+  return {
+    debug: (msg, fields) => write('debug', component, msg, fields),
+    info: (msg, fields) => write('info', component, msg, fields),
+    warn: (msg, fields) => write('warn', component, msg, fields),
+    error: (msg, fields) => write('error', component, msg, fields)
+  };
+}
+
+/**
+ * Run function with fields added to every entry logged inside it
+ * Nested calls extend the outer context.
+ * @param {object} fields
+ * @param {Function} fn
+ */
+function runWithContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+/**
+ * Express middleware: correlation id for the request
+ * Taken from X-Request-Id (generated if missing) and echoed in the response header.
+ */
+function requestContext(req, res, next) {
+  const requestId = (req.get('X-Request-Id') || '').slice(0, 128) || crypto.randomUUID();
+  req.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+  runWithContext({ requestId }, next);
+}
+
+module.exports = {
+  createLogger,
+  setLevel,
+  runWithContext,
+  requestContext
+};
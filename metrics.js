@@ -0,0 +1,156 @@
+/**
+ * Metrics
+ *
+ * Prometheus metrics, served as text at GET /metrics:
+ * - socketio_connections                      current connections
+ * - socketio_connects_total                   new connections
+ * - socketio_disconnects_total{reason}        disconnects by Socket.IO reason
+ * - socketio_room_joins_total{room_type}      joins of game_* / user_* / other rooms
+ * - socketio_room_leaves_total{room_type}     leaves, including rooms left on disconnect
+ * - socketio_events_received_total{event}     client events that reached a handler
+ * - socketio_events_rejected_total{event,code} client events answered with an error
+ * - socketio_events_emitted_total{event}      events sent to rooms and users
+ * - socketio_emit_recipients                  recipients per emit (histogram)
+ * - http_request_duration_seconds{method,route,status}
+ * - nodejs_* / process_* defaults, including nodejs_eventloop_lag_seconds
+ *
+ * In cluster mode every worker has its own counters; the primary can serve
+ * the sum of all workers (see cluster.js, METRICS_PORT).
+ */
+
+const cluster = require('cluster');
+const client = require('prom-client');
+
+/**
+ * Room type label, so room names do not become label values
+ */
+function getRoomType(room) {
+  if (room.startsWith('game_')) return 'game';
+  if (room.startsWith('user_')) return 'user';
+  return 'other';
+}
+
+/**
+ * Create metrics registry and recorders
+ * @param {object} [options]
+ * @param {function(): number} [options.getConnections] - Current connection count, read on scrape
+ */
+function createMetrics({ getConnections = () => 0 } = {}) {
+  const register = new client.Registry();
+  client.collectDefaultMetrics({ register });
+
+  new client.Gauge({
+    name: 'socketio_connections',
+    help: 'Currently connected sockets',
+    registers: [register],
+    collect() {
+      this.set(getConnections());
+    }
+  });
+
+  const connects = new client.Counter({
+    name: 'socketio_connects_total',
+    help: 'Socket connections',
+    registers: [register]
+  });
+
+  const disconnects = new client.Counter({
+    name: 'socketio_disconnects_total',
+    help: 'Socket disconnects by reason',
+    labelNames: ['reason'],
+    registers: [register]
+  });
+
+  const joins = new client.Counter({
+    name: 'socketio_room_joins_total',
+    help: 'Room joins',
+    labelNames: ['room_type'],
+    registers: [register]
+  });
+
+  const leaves = new client.Counter({
+    name: 'socketio_room_leaves_total',
+    help: 'Room leaves, including disconnects',
+    labelNames: ['room_type'],
+    registers: [register]
+  });
+
+  const eventsReceived = new client.Counter({
+    name: 'socketio_events_received_total',
+    help: 'Client events received by handlers',
+    labelNames: ['event'],
+    registers: [register]
+  });
+
+  const eventsRejected = new client.Counter({
+    name: 'socketio_events_rejected_total',
+    help: 'Client events answered with an error',
+    labelNames: ['event', 'code'],
+    registers: [register]
+  });
+
+  const eventsEmitted = new client.Counter({
+    name: 'socketio_events_emitted_total',
+    help: 'Events emitted to rooms and users',
+    labelNames: ['event'],
+    registers: [register]
+  });
+
+  const recipients = new client.Histogram({
+    name: 'socketio_emit_recipients',
+    help: 'Recipients per emitted event (this process)',
+    buckets: [0, 1, 2, 5, 10, 20, 50, 100, 500, 1000],
+    registers: [register]
+  });
+
+  const httpDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP API request duration',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+    registers: [register]
+  });
+
+  // Answer the primary's aggregation requests (the constructor installs the IPC listener)
+  if (cluster.isWorker) {
+    client.AggregatorRegistry.setRegistries([register]);
+    new client.AggregatorRegistry();
+  }
+
+  /**
+   * Express middleware timing every request
+   * Route label is the matched route pattern, so ids in paths do not become label values.
+   */
+  function httpMiddleware(req, res, next) {
+    const stopTimer = httpDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+      stopTimer({
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        status: res.statusCode
+      });
+    });
+    next();
+  }
+
+  return {
+    register,
+    httpMiddleware,
+    connected: () => connects.inc(),
+    disconnected: (reason) => disconnects.inc({ reason }),
+    joined: (room) => joins.inc({ room_type: getRoomType(room) }),
+    left: (room) => leaves.inc({ room_type: getRoomType(room) }),
+    eventReceived: (event) => eventsReceived.inc({ event }),
+    eventRejected: (event, code) => eventsRejected.inc({ event, code }),
+    /**
+     * Record emitted event
+     * @param {string} event
+     * @param {number} count - Recipients
+     */
+    emitted(event, count) {
+      eventsEmitted.inc({ event });
+      recipients.observe(count);
+    }
+  };
+}
+
+module.exports = { createMetrics };
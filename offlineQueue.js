@@ -0,0 +1,271 @@
+/**
+ * Offline Queue
+ *
+ * Keeps events sent to a user (deliverToUser) while the user has no connected socket,
+ * and replays them in order when the user connects again (handshake auth or `register`).
+ *
+ * Replayed events carry meta { queued: true, id, queuedAt } and an ack callback:
+ *   socket.on('notification', (data, meta, ack) => { show(data); ack && ack(); });
+ * The queue is replayed to one device at a time (the first to connect); devices connecting meanwhile get nothing.
+ * An event is removed once the device acks it; unacked events are replayed on the next connect.
+ *
+ * Every queued event expires after ttlMs. A user keeps at most maxPerUser events; the oldest are dropped.
+ *
+ * Stores:
+ * - memory - this process only, lost on restart (single process / development)
+ * - redis  - durable and shared by all workers (list `offline_queue:${userId}`)
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('OfflineQueue');
+
+/**
+ * In-process store
+ * @param {object} options
+ * @param {number} options.ttlMs
+ * @param {number} options.maxPerUser
+ */
+function createMemoryStore({ ttlMs, maxPerUser }) {
+  // String(userId) -> [{ id, event, data, queuedAt, expiresAt }] oldest first
+  const queues = new Map();
+  // String(userId) -> expiresAt of the flush in progress
+  const claims = new Map();
+
+  function live(key) {
+    const now = Date.now();
+    const items = (queues.get(key) || []).filter((item) => item.expiresAt > now);
+    if (items.length === 0) {
+      queues.delete(key);
+    } else {
+      queues.set(key, items);
+    }
+    return items;
+  }
+
+  const pruneTimer = setInterval(() => {
+    for (const key of queues.keys()) {
+      live(key);
+    }
+  }, Math.min(ttlMs, 10 * 60 * 1000));
+  pruneTimer.unref();
+
+  return {
+    async push(userId, item) {
+      const key = String(userId);
+      const items = live(key);
+      items.push(item);
+      const dropped = Math.max(items.length - maxPerUser, 0);
+      items.splice(0, dropped);
+      queues.set(key, items);
+      return { depth: items.length, dropped };
+    },
+
+    async list(userId) {
+      return [...live(String(userId))];
+    },
+
+    async remove(userId, id) {
+      const key = String(userId);
+      const items = live(key).filter((item) => item.id !== id);
+      if (items.length === 0) {
+        queues.delete(key);
+      } else {
+        queues.set(key, items);
+      }
+    },
+
+    async claim(userId, ms) {
+      const key = String(userId);
+      const now = Date.now();
+      if ((claims.get(key) || 0) > now) {
+        return false;
+      }
+      claims.set(key, now + ms);
+      return true;
+    },
+
+    async release(userId) {
+      claims.delete(String(userId));
+    }
+  };
+}
+
+/**
+ * Redis store: one list per user, JSON items oldest first; `offline_queue_flush:${userId}` marks a flush in progress
+ * @param {object} options
+ * @param {string} [options.redisUrl]
+ * @param {number} options.ttlMs
+ * @param {number} options.maxPerUser
+ */
+function createRedisStore({ redisUrl, ttlMs, maxPerUser }) {
+  const { createClient } = require('redis');
+
+  const client = createClient({ url: redisUrl || 'redis://localhost:6379' });
+  client.on('error', (error) => log.error('redis_error', { error: error.message }));
+  // Commands issued before the connection is up are queued by the client
+  client.connect().catch((error) => log.error('redis_connect_failed', { error: error.message }));
+
+  const keyOf = (userId) => `offline_queue:${userId}`;
+
+  async function readRaw(key) {
+    const now = Date.now();
+    const entries = await client.lRange(key, 0, -1);
+    const items = [];
+    for (const raw of entries) {
+      const item = JSON.parse(raw);
+      if (item.expiresAt > now) {
+        items.push({ raw, item });
+      } else {
+        await client.lRem(key, 1, raw);
+      }
+    }
+    return items;
+  }
+
+  return {
+    async push(userId, item) {
+      const key = keyOf(userId);
+      const [length] = await client.multi()
+        .rPush(key, JSON.stringify(item))
+        .lTrim(key, -maxPerUser, -1)
+        .pExpire(key, ttlMs)
+        .exec();
+      return { depth: Math.min(length, maxPerUser), dropped: Math.max(length - maxPerUser, 0) };
+    },
+
+    async list(userId) {
+      return (await readRaw(keyOf(userId))).map(({ item }) => item);
+    },
+
+    async remove(userId, id) {
+      const key = keyOf(userId);
+      const entry = (await readRaw(key)).find(({ item }) => item.id === id);
+      if (entry) {
+        await client.lRem(key, 1, entry.raw);
+      }
+    },
+
+    async claim(userId, ms) {
+      return (await client.set(`offline_queue_flush:${userId}`, '1', { NX: true, PX: ms })) === 'OK';
+    },
+
+    async release(userId) {
+      await client.del(`offline_queue_flush:${userId}`);
+    }
+  };
+}
+
+/**
+ * Create offline queue
+ * @param {object} options
+ * @param {string} options.mode - 'memory' | 'redis'
+ * @param {string} [options.redisUrl] - Redis connection URL for redis mode
+ * @param {number} [options.ttlMs] - How long an event waits for its user
+ * @param {number} [options.maxPerUser] - Events kept per user
+ * @param {number} [options.ackTimeoutMs] - Wait for the client's ack of a replayed event
+ */
+function createOfflineQueue({
+  mode,
+  redisUrl,
+  ttlMs = 24 * 60 * 60 * 1000,
+  maxPerUser = 100,
+  ackTimeoutMs = 10 * 1000
+}) {
+  let store;
+  switch (mode) {
+    case 'memory':
+      store = createMemoryStore({ ttlMs, maxPerUser });
+      break;
+    case 'redis':
+      store = createRedisStore({ redisUrl, ttlMs, maxPerUser });
+      break;
+    default:
+      throw new Error(`Unknown offline queue mode "${mode}" (expected memory or redis)`);
+  }
+
+  /**
+   * Queue event for user
+   * @param {number|string} userId
+   * @param {string} eventName
+   * @param {any} data
+   * @returns {Promise<number>} Queue depth of the user
+   */
+  async function enqueue(userId, eventName, data) {
+    const queuedAt = Date.now();
+    const item = {
+      id: crypto.randomUUID(),
+      event: eventName,
+      data,
+      queuedAt: new Date(queuedAt).toISOString(),
+      expiresAt: queuedAt + ttlMs
+    };
+
+    const { depth, dropped } = await store.push(userId, item);
+    if (dropped > 0) {
+      log.warn('queue_overflow', { userId, dropped, maxPerUser });
+    }
+    return depth;
+  }
+
+  /**
+   * Send one queued event and remove it when the client acks it
+   * @returns {Promise<void>} Settles on ack or ack timeout
+   */
+  function replay(socket, userId, item) {
+    const meta = { queued: true, id: item.id, queuedAt: item.queuedAt };
+    return new Promise((resolve) => {
+      socket.timeout(ackTimeoutMs).emit(item.event, item.data, meta, (error) => {
+        if (error) {
+          log.debug('queue_ack_timeout', { userId, socketId: socket.id, id: item.id, event: item.event });
+          resolve();
+          return;
+        }
+        store.remove(userId, item.id).catch((removeError) => {
+          log.error('queue_remove_failed', { userId, id: item.id, error: removeError.message });
+        }).finally(resolve);
+      });
+    });
+  }
+
+  /**
+   * Replay queued events to a socket of the user, in order
+   * Only one socket of the user gets the queue at a time: while its acks are pending,
+   * other sockets of the user get nothing, so no device receives an event twice.
+   * @param {object} socket - Socket.IO socket
+   * @param {number|string} userId
+   * @returns {Promise<number>} Events replayed (0 if another socket is getting the queue)
+   */
+  async function flush(socket, userId) {
+    // Outlives the acks, in case this process dies before release
+    if (!(await store.claim(userId, 2 * ackTimeoutMs))) {
+      return 0;
+    }
+    try {
+      const items = await store.list(userId);
+      await Promise.all(items.map((item) => replay(socket, userId, item)));
+      return items.length;
+    } finally {
+      await store.release(userId);
+    }
+  }
+
+  /**
+   * Number of events waiting for user
+   * @param {number|string} userId
+   * @returns {Promise<number>}
+   */
+  async function depth(userId) {
+    return (await store.list(userId)).length;
+  }
+
+  return {
+    mode,
+    enqueue,
+    flush,
+    depth
+  };
+}
+
+module.exports = { createOfflineQueue };
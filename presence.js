@@ -0,0 +1,75 @@
+/**
+ * Presence
+ *
+ * Who is currently in a room, by authenticated userId (`socket.data.userId`).
+ * A user with several sockets (phone + tablet) is present until the last one leaves.
+ *
+ * Queries go through `io.in(room).fetchSockets()`, so with the cluster or redis
+ * adapter they see sockets on every worker.
+ */
+
+const { normalizeId } = require('./protocol');
+
+/**
+ * Create presence helpers
+ * @param {object} io - Socket.IO server
+ */
+function createPresence(io) {
+  /**
+   * Unique userIds present in room (see protocol.normalizeId)
+   * @param {string} room
+   * @returns {Promise<Array<string|number>>}
+   */
+  async function getPresentUsers(room) {
+    const sockets = await io.in(room).fetchSockets();
+    const users = new Map(); // String(userId) -> userId
+    for (const socket of sockets) {
+      if (socket.data.userId != null) {
+        users.set(String(socket.data.userId), normalizeId(socket.data.userId));
+      }
+    }
+    return [...users.values()];
+  }
+
+  /**
+   * Whether user has any socket in room
+   * Used to tell the last leave of a user apart from extra devices.
+   * @param {string} room
+   * @param {string|number} userId
+   * @returns {Promise<boolean>}
+   */
+  async function isUserPresent(room, userId) {
+    const sockets = await io.in(room).fetchSockets();
+    return sockets.some((socket) => String(socket.data.userId) === String(userId));
+  }
+
+  /**
+   * Whether socket is the first of its user in room
+   * Call after the socket joined, with `socket.data.joinedAt[room]` set. Joins are ordered
+   * by that time, then by socket id, so two devices joining at once count the user only once.
+   * @param {string} room
+   * @param {string|number} userId
+   * @param {string} socketId
+   * @returns {Promise<boolean>}
+   */
+  async function isFirstUserSocket(room, userId, socketId) {
+    const sockets = (await io.in(room).fetchSockets())
+      .filter((socket) => String(socket.data.userId) === String(userId));
+    const joinOrder = (socket) => [(socket.data.joinedAt && socket.data.joinedAt[room]) || 0, socket.id];
+    const [ownTime, ownId] = joinOrder(sockets.find((socket) => socket.id === socketId) || { id: socketId, data: {} });
+
+    return sockets.every((socket) => {
+      if (socket.id === socketId) return true;
+      const [time, id] = joinOrder(socket);
+      return time > ownTime || (time === ownTime && id > ownId);
+    });
+  }
+
+  return {
+    getPresentUsers,
+    isUserPresent,
+    isFirstUserSocket
+  };
+}
+
+module.exports = { createPresence };
@@ -0,0 +1,626 @@
+/**
+ * Protocol
+ *
+ * Single registry of every message the server speaks:
+ * - client → server socket events (validated before the handler runs)
+ * - server → client socket events
+ * - HTTP API request bodies (validated before the route runs)
+ *
+ * Payloads are described with JSON Schema. The whole registry is served
+ * as JSON at GET /api/protocol.
+ *
+ * Game events list the `roles` allowed to send them (see gameRoles.js);
+ * the sender must also be in the game room.
+ */
+
+const Ajv = require('ajv');
+const { ErrorCodes, createError, sendError } = require('./errors');
+const { ROLES } = require('./gameRoles');
+
+const ANY_ROLE = [...ROLES];
+
+// gameId, pageId, userId, commentId: non-negative integer or non-empty string (page 0 is valid)
+const id = {
+  anyOf: [
+    { type: 'integer', minimum: 0 },
+    { type: 'string', minLength: 1, maxLength: 64 }
+  ]
+};
+
+const roomName = { type: 'string', minLength: 1, maxLength: 128 };
+
+const gameRef = {
+  type: 'object',
+  required: ['gameId'],
+  properties: { gameId: id }
+};
+
+const gamePageRef = {
+  type: 'object',
+  required: ['gameId', 'pageId'],
+  properties: { gameId: id, pageId: id }
+};
+
+const userRef = {
+  type: 'object',
+  required: ['userId'],
+  properties: { userId: id }
+};
+
+const emoji = { type: 'string', minLength: 1, maxLength: 32 };
+
+const reactionRef = {
+  type: 'object',
+  required: ['gameId', 'commentId', 'emoji'],
+  properties: { gameId: id, commentId: id, emoji }
+};
+
+const commentObject = {
+  type: 'object',
+  required: ['id'],
+  properties: { id }
+};
+
+const errorObject = {
+  type: 'object',
+  required: ['code', 'message'],
+  properties: {
+    code: { type: 'string', enum: Object.values(ErrorCodes) },
+    message: { type: 'string' },
+    details: {}
+  }
+};
+
+// Result passed to the ack callback of every client event
+const ackResult = {
+  type: 'object',
+  required: ['ok'],
+  properties: {
+    ok: { type: 'boolean' },
+    recipients: { type: 'integer' },
+    // privateMessage: delivered to at least one device of the recipient,
+    // queued for the recipient's next connect (offline queue), or nobody was online
+    status: { type: 'string', enum: ['delivered', 'queued', 'offline'] },
+    error: errorObject
+  }
+};
+
+/**
+ * Client → server socket events
+ */
+const clientEvents = {
+  joinRoom: {
+    description: 'Subscribe to room updates (game_${gameId} or own user_${userId})',
+    payload: roomName
+  },
+  leaveRoom: {
+    description: 'Unsubscribe from room',
+    payload: roomName
+  },
+  register: {
+    description: 'Join user_${userId} room (anonymous development mode only)',
+    payload: id
+  },
+  broadcast_players_updated: {
+    description: 'Ask room to refresh player list',
+    roles: ANY_ROLE,
+    payload: gameRef
+  },
+  broadcast_game_started: {
+    description: 'Owner started the game',
+    roles: ['owner'],
+    payload: gamePageRef
+  },
+  broadcast_vote_added: {
+    description: 'Vote on a page (replaces previous vote of the user); counted by vote.choice (VOTE_TALLY_FIELD)',
+    roles: ['owner', 'player'],
+    payload: {
+      type: 'object',
+      required: ['gameId', 'pageId', 'vote'],
+      properties: { gameId: id, pageId: id, vote: { type: 'object' } }
+    }
+  },
+  broadcast_votes_cleared: {
+    description: 'Reset votes of a page',
+    roles: ['owner'],
+    payload: gamePageRef
+  },
+  broadcast_comment_new: {
+    description: 'Relay new comment to the room',
+    roles: ANY_ROLE,
+    payload: {
+      type: 'object',
+      required: ['gameId', 'comment'],
+      properties: { gameId: id, comment: commentObject }
+    }
+  },
+  comment_react: {
+    description: 'React to a comment with an emoji (once per user per emoji)',
+    roles: ANY_ROLE,
+    payload: reactionRef
+  },
+  comment_unreact: {
+    description: 'Remove own emoji reaction from a comment',
+    roles: ANY_ROLE,
+    payload: reactionRef
+  },
+  typing_start: {
+    description: 'User is writing a comment',
+    roles: ANY_ROLE,
+    payload: gameRef
+  },
+  typing_stop: {
+    description: 'User stopped writing',
+    roles: ANY_ROLE,
+    payload: gameRef
+  },
+  resume: {
+    description: 'Replay room events after lastSeq',
+    payload: {
+      type: 'object',
+      required: ['room', 'lastSeq'],
+      properties: {
+        room: roomName,
+        lastSeq: { type: 'integer', minimum: 0 }
+      }
+    }
+  },
+  message: {
+    description: 'Send message to room',
+    payload: {
+      type: 'object',
+      required: ['room', 'message'],
+      properties: { room: roomName, message: {} }
+    }
+  },
+  privateMessage: {
+    description: 'Send message to every device of a user (sender must be authenticated)',
+    payload: {
+      type: 'object',
+      required: ['toUserId', 'message'],
+      properties: { toUserId: id, message: {} }
+    }
+  }
+};
+
+/**
+ * Server → client socket events
+ * Game room events also carry a second argument { room, seq } (see eventLog.js).
+ */
+const serverEvents = {
+  message: {
+    description: 'Generic room message, subscription confirmations',
+    payload: {
+      type: 'object',
+      required: ['room', 'message'],
+      properties: { room: roomName, message: {}, from: { type: 'string' } }
+    }
+  },
+  privateMessage: {
+    description: 'Private message; also echoed to the sender\'s other devices',
+    payload: {
+      type: 'object',
+      required: ['id', 'from', 'to', 'message', 'sentAt'],
+      properties: {
+        id: { type: 'string' },
+        from: id,
+        to: id,
+        message: {},
+        sentAt: { type: 'string' }
+      }
+    }
+  },
+  game_comment_new: { description: 'New comment', payload: commentObject },
+  game_comment_edit: { description: 'Comment edited', payload: commentObject },
+  game_comment_delete: {
+    description: 'Comment deleted',
+    payload: { type: 'object', required: ['id', 'gameId'], properties: { id, gameId: id } }
+  },
+  game_comment_reactions: {
+    description: 'Reaction added or removed; count is the new number of this emoji on the comment',
+    payload: {
+      type: 'object',
+      required: ['gameId', 'commentId', 'emoji', 'count', 'action'],
+      properties: {
+        gameId: id,
+        commentId: id,
+        emoji,
+        count: { type: 'integer', minimum: 0 },
+        userId: id,
+        action: { type: 'string', enum: ['add', 'remove'] }
+      }
+    }
+  },
+  game_comment_reactions_snapshot: {
+    description: 'Reaction counts of all comments, sent after joinRoom; mine lists own emoji per comment',
+    payload: {
+      type: 'object',
+      required: ['gameId', 'comments'],
+      properties: {
+        gameId: id,
+        comments: {
+          type: 'object',
+          additionalProperties: { type: 'object', additionalProperties: { type: 'integer' } }
+        },
+        mine: { type: 'object', additionalProperties: { type: 'array', items: emoji } }
+      }
+    }
+  },
+  game_players_updated: { description: 'Player list changed', payload: gameRef },
+  game_started: { description: 'Game started', payload: gamePageRef },
+  game_page_changed: { description: 'Players moved to another page', payload: gamePageRef },
+  game_finished: { description: 'Game is over', payload: gameRef },
+  notification: {
+    description: 'Notification for a user (fields are up to the backend, e.g. { text })',
+    payload: { type: 'object' }
+  },
+  game_state: {
+    description: 'Game session snapshot, sent after joinRoom',
+    payload: {
+      type: 'object',
+      properties: {
+        gameId: id,
+        started: { type: 'boolean' },
+        finished: { type: 'boolean' },
+        pageId: { anyOf: [id, { type: 'null' }] },
+        ownerId: { anyOf: [id, { type: 'null' }] },
+        startedAt: { type: ['string', 'null'] },
+        updatedAt: { type: ['string', 'null'] }
+      }
+    }
+  },
+  vote_added: {
+    description: 'User voted',
+    payload: {
+      type: 'object',
+      required: ['gameId', 'pageId', 'vote'],
+      properties: { gameId: id, pageId: id, vote: { type: 'object' } }
+    }
+  },
+  vote_tally: {
+    description: 'Full vote tally of a page',
+    payload: {
+      type: 'object',
+      required: ['gameId', 'pageId', 'total', 'counts', 'votes'],
+      properties: {
+        gameId: id,
+        pageId: id,
+        total: { type: 'integer' },
+        counts: { type: 'object', additionalProperties: { type: 'integer' } },
+        votes: { type: 'array' }
+      }
+    }
+  },
+  votes_cleared: { description: 'Votes of a page reset', payload: gamePageRef },
+  presence_list: {
+    description: 'Users in game room, sent after joinRoom',
+    payload: { type: 'object', properties: { gameId: id, userIds: { type: 'array', items: id } } }
+  },
+  presence_joined: {
+    description: 'User joined game room',
+    payload: { type: 'object', properties: { gameId: id, userId: id } }
+  },
+  presence_left: {
+    description: 'User left game room',
+    payload: { type: 'object', properties: { gameId: id, userId: id } }
+  },
+  game_typing: {
+    description: 'Users writing a comment, sent to the whole room (clients skip their own userId)',
+    payload: { type: 'object', properties: { gameId: id, userIds: { type: 'array', items: id } } }
+  },
+  resync_required: {
+    description: 'Missed events are no longer available, reload state',
+    payload: {
+      type: 'object',
+      properties: { room: roomName, lastSeq: { type: 'integer' }, seq: { type: 'integer' } }
+    }
+  },
+  removed_from_room: {
+    description: 'Socket was removed from a room by the server',
+    payload: {
+      type: 'object',
+      required: ['room', 'reason'],
+      properties: { room: roomName, reason: { type: 'string' } }
+    }
+  },
+  removed_from_game: {
+    description: 'Socket was removed from the game room (e.g. banned); joinRoom is refused until unbanned',
+    payload: {
+      type: 'object',
+      required: ['gameId', 'reason'],
+      properties: { gameId: id, reason: { type: 'string' } }
+    }
+  },
+  server_restarting: {
+    description: 'Server is shutting down; reconnect after reconnectDelayMs',
+    payload: {
+      type: 'object',
+      required: ['reconnectDelayMs'],
+      properties: { reconnectDelayMs: { type: 'integer' } }
+    }
+  },
+  rate_limited: {
+    description: 'Event dropped by rate limiter',
+    payload: {
+      type: 'object',
+      properties: { event: { type: 'string' }, retryAfterMs: { type: 'integer' } }
+    }
+  },
+  event_error: {
+    description: 'Client event was rejected',
+    payload: {
+      type: 'object',
+      required: ['event', 'error'],
+      properties: { event: { type: 'string' }, error: errorObject }
+    }
+  }
+};
+
+// Generic broadcast: any allowlisted server event with its data
+const broadcastBody = {
+  type: 'object',
+  required: ['event'],
+  properties: {
+    event: { type: 'string', minLength: 1, maxLength: 64 },
+    data: {}
+  }
+};
+
+/**
+ * HTTP API request bodies, keyed by "METHOD /path"
+ */
+const httpRequests = {
+  'POST /api/broadcast/game-comment/new': {
+    description: 'Broadcast new comment',
+    body: {
+      type: 'object',
+      required: ['gameId', 'comment'],
+      properties: {
+        gameId: id,
+        comment: {
+          type: 'object',
+          required: ['id', 'text'],
+          properties: { id, text: { type: 'string', minLength: 1 } }
+        }
+      }
+    }
+  },
+  'POST /api/broadcast/game-comment/edit': {
+    description: 'Broadcast comment edit',
+    body: {
+      type: 'object',
+      required: ['gameId', 'comment'],
+      properties: { gameId: id, comment: commentObject }
+    }
+  },
+  'POST /api/broadcast/game-comment/delete': {
+    description: 'Broadcast comment delete',
+    body: {
+      type: 'object',
+      required: ['gameId', 'commentId'],
+      properties: { gameId: id, commentId: id }
+    }
+  },
+  'POST /api/broadcast/game-comment/reaction': {
+    description: 'Add or remove reaction of a user and broadcast the delta',
+    body: {
+      type: 'object',
+      required: ['gameId', 'commentId', 'emoji', 'userId', 'action'],
+      properties: {
+        ...reactionRef.properties,
+        userId: id,
+        action: { type: 'string', enum: ['add', 'remove'] }
+      }
+    }
+  },
+  'POST /api/broadcast/votes-cleared': {
+    description: 'Broadcast votes cleared',
+    body: gamePageRef
+  },
+  'POST /api/broadcast/game/:gameId': {
+    description: 'Broadcast allowlisted event to game room',
+    body: broadcastBody
+  },
+  'POST /api/broadcast/user/:userId': {
+    description: 'Send allowlisted event to all sockets of a user',
+    body: broadcastBody
+  },
+  'POST /api/broadcast/batch': {
+    description: 'Emit several allowlisted events in order (all or nothing validation)',
+    body: {
+      type: 'object',
+      required: ['items'],
+      properties: {
+        items: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 100,
+          items: {
+            type: 'object',
+            required: ['target', 'event'],
+            properties: {
+              target: {
+                type: 'object',
+                properties: { gameId: id, userId: id },
+                additionalProperties: false,
+                oneOf: [{ required: ['gameId'] }, { required: ['userId'] }]
+              },
+              event: broadcastBody.properties.event,
+              data: {}
+            }
+          }
+        }
+      }
+    }
+  },
+  'POST /api/games/:gameId/ban': {
+    description: 'Ban user from game: remove from room, refuse later joins',
+    body: userRef
+  },
+  'POST /api/games/:gameId/unban': {
+    description: 'Lift ban of user',
+    body: userRef
+  },
+  'PUT /api/games/:gameId/roles': {
+    description: 'Set roles of users in a game (null removes the role set before)',
+    body: {
+      type: 'object',
+      required: ['roles'],
+      properties: {
+        roles: {
+          type: 'object',
+          minProperties: 1,
+          maxProperties: 1000,
+          propertyNames: { minLength: 1, maxLength: 64 },
+          additionalProperties: { anyOf: [{ type: 'string', enum: ROLES }, { type: 'null' }] }
+        }
+      }
+    }
+  },
+  'PUT /api/users/:userId/blocked': {
+    description: 'Replace block list of a user (private messages are refused both ways)',
+    body: {
+      type: 'object',
+      required: ['userIds'],
+      properties: {
+        userIds: { type: 'array', maxItems: 10000, items: id }
+      }
+    }
+  },
+  'POST /api/admin/rooms/:room/kick': {
+    description: 'Remove all sockets of a user from a room',
+    body: userRef
+  },
+  'POST /api/test/send-message': {
+    description: 'Send test message to game room (development only)',
+    body: {
+      type: 'object',
+      required: ['gameId'],
+      properties: { gameId: id, message: { type: 'string' } }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validators = new Map(); // `${kind}:${name}` -> compiled validator
+
+function getValidator(kind, name, schema) {
+  const key = `${kind}:${name}`;
+  if (!validators.has(key)) {
+    validators.set(key, ajv.compile(schema));
+  }
+  return validators.get(key);
+}
+
+function toError(validate, label) {
+  return createError(
+    ErrorCodes.INVALID_PAYLOAD,
+    `Invalid ${label}: ${ajv.errorsText(validate.errors, { dataVar: 'payload' })}`,
+    validate.errors.map((error) => ({
+      path: error.instancePath || '/',
+      message: error.message
+    }))
+  );
+}
+
+/**
+ * Id as the server sends it in events it fills in (presence, game_state, votes, ...)
+ * Non-negative integers, also as decimal strings (room names, path params, string token claims),
+ * are sent as numbers; any other id stays a string. So 42, "42" and game_42 all give 42.
+ * @param {number|string|null|undefined} value
+ * @returns {number|string|null}
+ */
+function normalizeId(value) {
+  if (typeof value === 'string' && /^(0|[1-9]\d*)$/.test(value) && Number.isSafeInteger(Number(value))) {
+    return Number(value);
+  }
+  return value ?? null;
+}
+
+/**
+ * Validate payload of a client → server event
+ * @param {string} eventName
+ * @param {any} payload
+ * @returns {{code, message, details}|null} Error, or null if valid
+ */
+function validateClientEvent(eventName, payload) {
+  const definition = clientEvents[eventName];
+  if (!definition) {
+    return createError(ErrorCodes.INVALID_PAYLOAD, `Unknown event "${eventName}"`);
+  }
+
+  const validate = getValidator('client', eventName, definition.payload);
+  return validate(payload) ? null : toError(validate, `${eventName} payload`);
+}
+
+/**
+ * Roles allowed to send a client event
+ * @param {string} eventName
+ * @returns {string[]|null} Roles, or null if the event is not a game event
+ */
+function getEventRoles(eventName) {
+  const definition = clientEvents[eventName];
+  return (definition && definition.roles) || null;
+}
+
+/**
+ * Validate data of a server → client event sent on behalf of the backend
+ * Events missing from the registry are not checked.
+ * @param {string} eventName
+ * @param {any} data
+ * @returns {{code, message, details}|null} Error, or null if valid
+ */
+function validateServerEvent(eventName, data) {
+  const definition = serverEvents[eventName];
+  if (!definition) {
+    return null;
+  }
+
+  const validate = getValidator('server', eventName, definition.payload);
+  return validate(data) ? null : toError(validate, `${eventName} data`);
+}
+
+/**
+ * Express middleware validating req.body against registered route schema
+ * Responds 400 with INVALID_PAYLOAD on failure.
+ * @param {string} route - "METHOD /path" key of httpRequests
+ */
+function validateBody(route) {
+  const definition = httpRequests[route];
+  if (!definition) {
+    throw new Error(`No protocol entry for route "${route}"`);
+  }
+  const validate = getValidator('http', route, definition.body);
+
+  return function validateRequestBody(req, res, next) {
+    if (!validate(req.body)) {
+      return sendError(res, 400, toError(validate, 'request body'));
+    }
+    next();
+  };
+}
+
+/**
+ * Whole protocol as plain JSON
+ */
+function getProtocol() {
+  return {
+    clientEvents,
+    serverEvents,
+    httpRequests,
+    ackResult,
+    errorCodes: Object.values(ErrorCodes)
+  };
+}
+
+module.exports = {
+  clientEvents,
+  serverEvents,
+  httpRequests,
+  normalizeId,
+  validateClientEvent,
+  getEventRoles,
+  validateServerEvent,
+  validateBody,
+  getProtocol
+};
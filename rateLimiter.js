@@ -0,0 +1,184 @@
+/**
+ * Rate Limiter
+ *
+ * Token bucket rate limiting for socket events (per socket, per event name)
+ * and for the HTTP API (per caller).
+ *
+ * A policy is { capacity, refillPerSec }: up to `capacity` events at once,
+ * then `refillPerSec` events per second.
+ *
+ * Policies are looked up by event name, falling back to '*':
+ * {
+ *   "message":              { "capacity": 5,  "refillPerSec": 1 },
+ *   "broadcast_vote_added": { "capacity": 5,  "refillPerSec": 1 },
+ *   "*":                    { "capacity": 20, "refillPerSec": 10 }
+ * }
+ */
+
+const { ErrorCodes, createError, sendError } = require('./errors');
+const { createLogger } = require('./logger');
+
+const log = createLogger('RateLimit');
+
+const DEFAULT_SOCKET_POLICIES = {
+  message: { capacity: 5, refillPerSec: 1 },
+  privateMessage: { capacity: 5, refillPerSec: 1 },
+  broadcast_comment_new: { capacity: 5, refillPerSec: 0.5 },
+  broadcast_vote_added: { capacity: 5, refillPerSec: 1 },
+  joinRoom: { capacity: 10, refillPerSec: 2 },
+  '*': { capacity: 20, refillPerSec: 10 }
+};
+
+const DEFAULT_HTTP_POLICY = { capacity: 100, refillPerSec: 50 };
+
+/**
+ * Create token bucket
+ * @param {{capacity: number, refillPerSec: number}} policy
+ */
+function createBucket({ capacity, refillPerSec }) {
+  let tokens = capacity;
+  let updatedAt = Date.now();
+
+  return {
+    /**
+     * Take one token
+     * @returns {{allowed: boolean, retryAfterMs: number}}
+     */
+    take() {
+      const now = Date.now();
+      tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * refillPerSec);
+      updatedAt = now;
+
+      if (tokens >= 1) {
+        tokens -= 1;
+        return { allowed: true, retryAfterMs: 0 };
+      }
+
+      return {
+        allowed: false,
+        retryAfterMs: Math.ceil(((1 - tokens) / refillPerSec) * 1000)
+      };
+    },
+
+    /**
+     * Whether bucket is full again (safe to forget)
+     */
+    isIdle() {
+      return tokens + ((Date.now() - updatedAt) / 1000) * refillPerSec >= capacity;
+    }
+  };
+}
+
+/**
+ * Create socket event rate limiter
+ * @param {object} [options]
+ * @param {object} [options.policies] - Event name -> policy, '*' for the rest
+ * @param {number} [options.maxViolations] - Violations within window before disconnect
+ * @param {number} [options.violationWindowMs]
+ */
+function createSocketRateLimiter({
+  policies = DEFAULT_SOCKET_POLICIES,
+  maxViolations = 20,
+  violationWindowMs = 60 * 1000
+} = {}) {
+  function getPolicy(eventName) {
+    return policies[eventName] || policies['*'] || DEFAULT_SOCKET_POLICIES['*'];
+  }
+
+  /**
+   * Attach limiter to a socket: socket.use() middleware for all incoming events
+   * Limited events are dropped and the client gets `rate_limited` (and a failed ack, if any).
+   * @param {object} socket
+   * @param {object} clientInfo - For abuse logging (userId, ip)
+   */
+  function attach(socket, clientInfo) {
+    const buckets = new Map(); // eventName or '*' -> bucket
+    let violations = [];
+
+    socket.use((packet, next) => {
+      const [eventName] = packet;
+      // Events without own policy share one '*' bucket, so unknown names can not grow the map
+      const bucketKey = Object.prototype.hasOwnProperty.call(policies, eventName) ? eventName : '*';
+      let bucket = buckets.get(bucketKey);
+      if (!bucket) {
+        bucket = createBucket(getPolicy(bucketKey));
+        buckets.set(bucketKey, bucket);
+      }
+
+      const { allowed, retryAfterMs } = bucket.take();
+      if (allowed) {
+        return next();
+      }
+
+      socket.emit('rate_limited', { event: eventName, retryAfterMs });
+
+      // Dropped event still answers its ack callback, so the client does not wait forever
+      const ack = packet[packet.length - 1];
+      if (typeof ack === 'function') {
+        ack({ ok: false, error: createError(ErrorCodes.RATE_LIMITED, 'Too many events', { retryAfterMs }) });
+      }
+
+      const now = Date.now();
+      violations = violations.filter((time) => now - time < violationWindowMs);
+      violations.push(now);
+
+      if (violations.length > maxViolations && socket.connected) {
+        log.warn('socket_disconnected_for_abuse', {
+          socketId: socket.id,
+          userId: clientInfo.userId,
+          ip: clientInfo.ip,
+          violations: violations.length,
+          lastEvent: eventName
+        });
+        socket.disconnect(true);
+      }
+    });
+  }
+
+  return { attach };
+}
+
+/**
+ * Create Express rate limiting middleware, keyed per caller
+ * Caller is `req.apiCaller` (set by API auth) or the client IP.
+ * @param {object} [options]
+ * @param {{capacity: number, refillPerSec: number}} [options.policy]
+ */
+function createHttpRateLimiter({ policy = DEFAULT_HTTP_POLICY } = {}) {
+  const buckets = new Map(); // caller -> bucket
+
+  const pruneTimer = setInterval(() => {
+    for (const [caller, bucket] of buckets) {
+      if (bucket.isIdle()) {
+        buckets.delete(caller);
+      }
+    }
+  }, 60 * 1000);
+  pruneTimer.unref();
+
+  return function httpRateLimit(req, res, next) {
+    const caller = req.apiCaller || req.ip;
+
+    let bucket = buckets.get(caller);
+    if (!bucket) {
+      bucket = createBucket(policy);
+      buckets.set(caller, bucket);
+    }
+
+    const { allowed, retryAfterMs } = bucket.take();
+    if (allowed) {
+      return next();
+    }
+
+    log.warn('http_rate_limited', { method: req.method, path: req.originalUrl, caller });
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    sendError(res, 429, createError(ErrorCodes.RATE_LIMITED, 'Too many requests', { retryAfterMs }));
+  };
+}
+
+module.exports = {
+  DEFAULT_SOCKET_POLICIES,
+  DEFAULT_HTTP_POLICY,
+  createSocketRateLimiter,
+  createHttpRateLimiter
+};
@@ -0,0 +1,173 @@
+/**
+ * Reaction Store
+ *
+ * Emoji reactions on game comments.
+ * Each user has at most one reaction per emoji per comment; reacting again changes nothing.
+ * Counts are per emoji; a comment has at most maxEmojiPerComment different emoji
+ * and a game has reactions on at most maxCommentsPerGame comments (comment ids come from clients).
+ */
+
+/**
+ * Create in-memory reaction store
+ * @param {object} [options]
+ * @param {number} [options.maxEmojiPerComment] - Different emoji allowed on one comment
+ * @param {number} [options.maxCommentsPerGame] - Comments with reactions allowed in one game
+ */
+function createReactionStore({ maxEmojiPerComment = 20, maxCommentsPerGame = 1000 } = {}) {
+  // gameId -> commentId -> emoji -> Set(userId)
+  const games = new Map();
+
+  function getComment(gameId, commentId, create) {
+    const gameKey = String(gameId);
+    const commentKey = String(commentId);
+
+    let comments = games.get(gameKey);
+    if (!comments) {
+      if (!create) return null;
+      comments = new Map();
+      games.set(gameKey, comments);
+    }
+
+    let reactions = comments.get(commentKey);
+    if (!reactions) {
+      if (!create || comments.size >= maxCommentsPerGame) return null;
+      reactions = new Map();
+      comments.set(commentKey, reactions);
+    }
+
+    return reactions;
+  }
+
+  /**
+   * Add user's reaction
+   * @returns {{changed: boolean, count: number, limitReached?: ('emoji'|'comments')}}
+   */
+  function react(gameId, commentId, emoji, userId) {
+    const reactions = getComment(gameId, commentId, true);
+    if (!reactions) {
+      return { changed: false, count: 0, limitReached: 'comments' };
+    }
+    let users = reactions.get(emoji);
+    if (!users) {
+      if (reactions.size >= maxEmojiPerComment) {
+        return { changed: false, count: 0, limitReached: 'emoji' };
+      }
+      users = new Set();
+      reactions.set(emoji, users);
+    }
+
+    const key = String(userId);
+    const changed = !users.has(key);
+    users.add(key);
+    return { changed, count: users.size };
+  }
+
+  /**
+   * Remove user's reaction
+   * @returns {{changed: boolean, count: number}}
+   */
+  function unreact(gameId, commentId, emoji, userId) {
+    const reactions = getComment(gameId, commentId, false);
+    const users = reactions && reactions.get(emoji);
+    if (!users || !users.delete(String(userId))) {
+      return { changed: false, count: users ? users.size : 0 };
+    }
+
+    if (users.size === 0) {
+      reactions.delete(emoji);
+      if (reactions.size === 0) {
+        removeComment(gameId, commentId);
+      }
+    }
+    return { changed: true, count: users.size };
+  }
+
+  /**
+   * Drop reactions of a deleted comment
+   */
+  function removeComment(gameId, commentId) {
+    const comments = games.get(String(gameId));
+    if (!comments) return;
+    comments.delete(String(commentId));
+    if (comments.size === 0) {
+      games.delete(String(gameId));
+    }
+  }
+
+  /**
+   * Drop all reactions of a game
+   */
+  function removeGame(gameId) {
+    games.delete(String(gameId));
+  }
+
+  /**
+   * Counts of every comment with reactions
+   * @returns {Object<string, Object<string, number>>} commentId -> emoji -> count
+   */
+  function getCounts(gameId) {
+    const comments = games.get(String(gameId));
+    const result = {};
+    for (const [commentId, reactions] of comments || []) {
+      result[commentId] = {};
+      for (const [emoji, users] of reactions) {
+        result[commentId][emoji] = users.size;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Emoji the user reacted with, per comment
+   * @returns {Object<string, string[]>} commentId -> emoji
+   */
+  function getUserReactions(gameId, userId) {
+    const comments = games.get(String(gameId));
+    const key = String(userId);
+    const result = {};
+    for (const [commentId, reactions] of comments || []) {
+      const emoji = [...reactions].filter(([, users]) => users.has(key)).map(([value]) => value);
+      if (emoji.length > 0) {
+        result[commentId] = emoji;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * All reactions as plain JSON, for a worker that starts later (see restore)
+   * @returns {Array} gameId -> commentId -> emoji -> userIds, as nested entry arrays
+   */
+  function snapshot() {
+    return [...games].map(([gameKey, comments]) => [
+      gameKey,
+      [...comments].map(([commentKey, reactions]) => [commentKey, [...reactions].map(([value, users]) => [value, [...users]])])
+    ]);
+  }
+
+  /**
+   * Replace all reactions with a snapshot() of another worker
+   */
+  function restore(entries) {
+    games.clear();
+    for (const [gameKey, comments] of entries) {
+      games.set(gameKey, new Map(comments.map(([commentKey, reactions]) => [
+        commentKey,
+        new Map(reactions.map(([value, users]) => [value, new Set(users)]))
+      ])));
+    }
+  }
+
+  return {
+    react,
+    unreact,
+    removeComment,
+    removeGame,
+    getCounts,
+    getUserReactions,
+    snapshot,
+    restore
+  };
+}
+
+module.exports = { createReactionStore };
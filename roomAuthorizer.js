@@ -0,0 +1,184 @@
+/**
+ * Room Authorizer
+ *
+ * Decides whether a user may join a room before `socket.join()`.
+ *
+ * - `user_${id}` rooms: only the user with that id
+ * - `game_${id}` rooms: asked from the membership resolver
+ * - any other room (unknown prefix, another socket's id): refused
+ *
+ * The resolver is either an in-process function:
+ *   roomAuthorizer.setResolver(async (userId, room) => db.isGameMember(userId, room));
+ * or an HTTP callback to the game backend:
+ *   POST <url> with body { userId, room }, expects 2xx response { allowed: boolean }
+ *
+ * Without a resolver game rooms are refused (fail closed), unless allowWithoutResolver is set (development).
+ *
+ * Answers are cached per (userId, room) so reconnects do not hit the backend every time.
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('RoomAuthorizer');
+
+const USER_ROOM_PREFIX = 'user_';
+const GAME_ROOM_PREFIX = 'game_';
+
+/**
+ * Create resolver that asks the backend about room membership
+ * @param {object} options
+ * @param {string} options.url - Backend endpoint
+ * @param {number} [options.timeoutMs] - Request timeout
+ * @returns {function((string|number|null), string): Promise<boolean>}
+ */
+function createHttpResolver({ url, timeoutMs = 5000 }) {
+  return async function resolveWithBackend(userId, room) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userId, room }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Membership backend responded with HTTP ${response.status}`);
+    }
+
+    const result = await response.json();
+    return result.allowed === true;
+  };
+}
+
+/**
+ * Resolver without a backend in development: allow every game room
+ */
+async function allowAll() {
+  return true;
+}
+
+/**
+ * Resolver without a backend outside development: refuse every game room
+ */
+async function denyAll() {
+  return false;
+}
+
+/**
+ * Create room authorizer
+ * @param {object} options
+ * @param {function} [options.resolver] - async (userId, room) => boolean
+ * @param {string} [options.url] - Backend endpoint, used when no resolver is given
+ * @param {boolean} [options.allowWithoutResolver] - Allow game rooms when there is neither resolver nor url
+ * @param {number} [options.cacheTtlMs] - How long an "allowed" answer is cached
+ * @param {number} [options.deniedCacheTtlMs] - How long a "denied" answer is cached
+ * @param {number} [options.maxCacheSize] - Max cached answers
+ */
+function createRoomAuthorizer({
+  resolver,
+  url,
+  allowWithoutResolver = false,
+  cacheTtlMs = 60 * 1000,
+  deniedCacheTtlMs = 10 * 1000,
+  maxCacheSize = 10000
+} = {}) {
+  let resolve = resolver || (url ? createHttpResolver({ url }) : (allowWithoutResolver ? allowAll : denyAll));
+
+  // `${userId}|${room}` -> { allowed: Promise<boolean>, expiresAt }
+  const cache = new Map();
+
+  function cacheKey(userId, room) {
+    return `${userId}|${room}`;
+  }
+
+  function remember(key, allowed, ttlMs) {
+    cache.delete(key);
+    if (cache.size >= maxCacheSize) {
+      // Map keeps insertion order - drop the oldest entry
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { allowed, expiresAt: Date.now() + ttlMs });
+  }
+
+  /**
+   * Check whether user may join room
+   * Resolver errors count as denial and are not cached.
+   * @param {string|number|null} userId - Authenticated user id
+   * @param {string} room - Room name
+   * @returns {Promise<boolean>}
+   */
+  async function canJoin(userId, room) {
+    if (typeof room !== 'string' || room === '') {
+      return false;
+    }
+
+    if (room.startsWith(USER_ROOM_PREFIX)) {
+      return userId != null && room === `${USER_ROOM_PREFIX}${userId}`;
+    }
+
+    if (!room.startsWith(GAME_ROOM_PREFIX) || room === GAME_ROOM_PREFIX) {
+      return false;
+    }
+
+    const key = cacheKey(userId, room);
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.allowed;
+    }
+
+    // Cache the pending promise so parallel joins share one resolver call
+    const pending = Promise.resolve()
+      .then(() => resolve(userId, room))
+      .then((allowed) => allowed === true);
+    remember(key, pending, cacheTtlMs);
+
+    try {
+      const allowed = await pending;
+      if (!allowed) {
+        remember(key, pending, deniedCacheTtlMs);
+      }
+      return allowed;
+    } catch (error) {
+      cache.delete(key);
+      log.error('resolver_failed', { userId, room, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Replace membership resolver and drop cached answers
+   * @param {function} newResolver - async (userId, room) => boolean
+   */
+  function setResolver(newResolver) {
+    resolve = newResolver;
+    cache.clear();
+  }
+
+  /**
+   * Drop cached answers for a user (all rooms) or a single (user, room) pair
+   * @param {string|number} userId
+   * @param {string} [room]
+   */
+  function invalidate(userId, room) {
+    if (room !== undefined) {
+      cache.delete(cacheKey(userId, room));
+      return;
+    }
+    const prefix = `${userId}|`;
+    for (const key of cache.keys()) {
+      if (key.startsWith(prefix)) {
+        cache.delete(key);
+      }
+    }
+  }
+
+  return {
+    canJoin,
+    setResolver,
+    invalidate
+  };
+}
+
+module.exports = {
+  createRoomAuthorizer,
+  createHttpResolver
+};
@@ -0,0 +1,152 @@
+/**
+ * Socket Auth
+ *
+ * Handshake authentication for Socket.IO connections.
+ * The client passes its token when connecting:
+ *
+ * const socket = io(SERVER_URL, { auth: { token } });
+ *
+ * The token is checked by a verifier before the `connection` event fires.
+ * The verified identity is stored in `socket.data.userId` and `socket.data.auth`.
+ */
+
+const jwt = require('jsonwebtoken');
+
+/**
+ * Error passed to Socket.IO `next()` when the handshake is rejected.
+ * The client receives it in the `connect_error` event (`err.message`, `err.data.code`).
+ */
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+    this.data = { code: 'UNAUTHORIZED' };
+  }
+}
+
+/**
+ * Create verifier for JWT tokens signed with a shared secret
+ * @param {object} options
+ * @param {string} options.secret - Shared secret (same as in backend)
+ * @param {string[]} [options.algorithms] - Allowed algorithms
+ * @param {string} [options.issuer] - Expected `iss` claim
+ * @param {string} [options.audience] - Expected `aud` claim
+ * @returns {function(string): Promise<{userId: (string|number), claims: object}>}
+ */
+function createJwtVerifier({ secret, algorithms = ['HS256'], issuer, audience }) {
+  if (!secret) {
+    throw new Error('JWT verifier requires a secret');
+  }
+
+  return async function verifyJwt(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, secret, { algorithms, issuer, audience });
+    } catch (error) {
+      throw new AuthError(`Invalid token: ${error.message}`);
+    }
+
+    const userId = claims.userId ?? claims.sub;
+    if (userId == null || userId === '') {
+      throw new AuthError('Token has no userId or sub claim');
+    }
+
+    return { userId, claims };
+  };
+}
+
+/**
+ * Create verifier that asks the backend to check the token
+ * POST <url> with body { token }, expects 2xx response { userId, ... }
+ * @param {object} options
+ * @param {string} options.url - Backend verification endpoint
+ * @param {number} [options.timeoutMs] - Request timeout
+ * @returns {function(string): Promise<{userId: (string|number), claims: object}>}
+ */
+function createHttpVerifier({ url, timeoutMs = 5000 }) {
+  if (!url) {
+    throw new Error('HTTP verifier requires a url');
+  }
+
+  return async function verifyWithBackend(token) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      throw new AuthError(`Auth backend unavailable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new AuthError(`Auth backend rejected token (HTTP ${response.status})`);
+    }
+
+    const claims = await response.json().catch(() => ({}));
+    if (claims.userId == null || claims.userId === '') {
+      throw new AuthError('Auth backend response has no userId');
+    }
+
+    return { userId: claims.userId, claims };
+  };
+}
+
+/**
+ * Pick verifier from settings
+ * JWT secret wins over backend URL. Returns null if neither is set.
+ * @param {object} options
+ * @param {string} [options.jwtSecret]
+ * @param {string} [options.verifyUrl]
+ * @returns {function|null}
+ */
+function createVerifier({ jwtSecret, verifyUrl }) {
+  if (jwtSecret) {
+    return createJwtVerifier({ secret: jwtSecret });
+  }
+  if (verifyUrl) {
+    return createHttpVerifier({ url: verifyUrl });
+  }
+  return null;
+}
+
+/**
+ * Create Socket.IO middleware: io.use(createAuthMiddleware({ verifier }))
+ * Without a verifier every connection is accepted as anonymous (development only).
+ * @param {object} options
+ * @param {function|null} options.verifier - Token verifier
+ * @returns {function(object, function): Promise<void>}
+ */
+function createAuthMiddleware({ verifier }) {
+  return async function authMiddleware(socket, next) {
+    if (!verifier) {
+      socket.data.userId = null;
+      socket.data.auth = null;
+      return next();
+    }
+
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token || typeof token !== 'string') {
+      return next(new AuthError('Missing auth token'));
+    }
+
+    try {
+      const { userId, claims } = await verifier(token);
+      socket.data.userId = userId;
+      socket.data.auth = claims;
+      next();
+    } catch (error) {
+      next(error instanceof AuthError ? error : new AuthError(error.message));
+    }
+  };
+}
+
+module.exports = {
+  AuthError,
+  createJwtVerifier,
+  createHttpVerifier,
+  createVerifier,
+  createAuthMiddleware
+};
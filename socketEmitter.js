@@ -11,15 +11,31 @@
  * emitNewComment(gameId, fullComment);
  */
 
+const { createLogger } = require('./logger');
+
+const log = createLogger('SocketEmitter');
+
 let io = null;
+let metrics = null;
+let offlineQueue = null;
+let gameBroadcaster = null;
 
 /**
  * Initialize with Socket.IO instance
  * Call this once during server startup
+ * @param {object} socketIO - Socket.IO server
+ * @param {object} [options]
+ * @param {object} [options.metrics] - Metrics (see metrics.js); emits are counted
+ * @param {object} [options.offlineQueue] - Offline queue (see offlineQueue.js); events for offline users are queued
+ * @param {Function} [options.broadcastToGame] - (gameId, eventName, data) emits to the game room instead of io.to();
+ *   index.js passes its own, which keeps server state (votes, reactions, game state) and seq numbers in every worker
  */
-function init(socketIO) {
+function init(socketIO, options = {}) {
   io = socketIO;
-  console.log('[SocketEmitter] Initialized');
+  metrics = options.metrics || metrics;
+  offlineQueue = options.offlineQueue || offlineQueue;
+  gameBroadcaster = options.broadcastToGame || gameBroadcaster;
+  log.info('initialized');
 }
 
 /**
@@ -38,6 +54,20 @@ function getRoomSize(roomName) {
   return room ? room.size : 0;
 }
 
+/**
+ * Emit event to game room, through the broadcaster set in init() if there is one
+ */
+function broadcastToGame(gameId, roomName, eventName, data) {
+  if (gameBroadcaster) {
+    gameBroadcaster(gameId, eventName, data);
+  } else {
+    io.to(roomName).emit(eventName, data);
+    if (metrics) {
+      metrics.emitted(eventName, getRoomSize(roomName));
+    }
+  }
+}
+
 /**
  * Emit new comment event to game room
  * @param {number} gameId - Game ID
@@ -46,16 +76,16 @@ function getRoomSize(roomName) {
  */
 function emitNewComment(gameId, comment) {
   if (!io) {
-    console.warn('[SocketEmitter] Not initialized. Call init(io) first.');
+    log.warn('not_initialized', { message: 'Call init(io) first' });
     return 0;
   }
 
   const roomName = getGameRoomName(gameId);
   const recipients = getRoomSize(roomName);
 
-  io.to(roomName).emit('game_comment_new', comment);
+  broadcastToGame(gameId, roomName, 'game_comment_new', comment);
 
-  console.log(`[SocketEmitter] game_comment_new → ${roomName} (${recipients} clients)`);
+  log.info('emitted', { event: 'game_comment_new', room: roomName, recipients });
   return recipients;
 }
 
@@ -67,16 +97,16 @@ function emitNewComment(gameId, comment) {
  */
 function emitEditComment(gameId, comment) {
   if (!io) {
-    console.warn('[SocketEmitter] Not initialized. Call init(io) first.');
+    log.warn('not_initialized', { message: 'Call init(io) first' });
     return 0;
   }
 
   const roomName = getGameRoomName(gameId);
   const recipients = getRoomSize(roomName);
 
-  io.to(roomName).emit('game_comment_edit', comment);
+  broadcastToGame(gameId, roomName, 'game_comment_edit', comment);
 
-  console.log(`[SocketEmitter] game_comment_edit → ${roomName} (${recipients} clients)`);
+  log.info('emitted', { event: 'game_comment_edit', room: roomName, recipients });
   return recipients;
 }
 
@@ -88,19 +118,19 @@ function emitEditComment(gameId, comment) {
  */
 function emitDeleteComment(gameId, commentId) {
   if (!io) {
-    console.warn('[SocketEmitter] Not initialized. Call init(io) first.');
+    log.warn('not_initialized', { message: 'Call init(io) first' });
     return 0;
   }
 
   const roomName = getGameRoomName(gameId);
   const recipients = getRoomSize(roomName);
 
-  io.to(roomName).emit('game_comment_delete', {
+  broadcastToGame(gameId, roomName, 'game_comment_delete', {
     id: commentId,
     gameId: gameId
   });
 
-  console.log(`[SocketEmitter] game_comment_delete → ${roomName} (${recipients} clients)`);
+  log.info('emitted', { event: 'game_comment_delete', room: roomName, recipients });
   return recipients;
 }
 
@@ -113,16 +143,16 @@ function emitDeleteComment(gameId, commentId) {
  */
 function emitToGame(gameId, eventName, data) {
   if (!io) {
-    console.warn('[SocketEmitter] Not initialized. Call init(io) first.');
+    log.warn('not_initialized', { message: 'Call init(io) first' });
     return 0;
   }
 
   const roomName = getGameRoomName(gameId);
   const recipients = getRoomSize(roomName);
 
-  io.to(roomName).emit(eventName, data);
+  broadcastToGame(gameId, roomName, eventName, data);
 
-  console.log(`[SocketEmitter] ${eventName} → ${roomName} (${recipients} clients)`);
+  log.info('emitted', { event: eventName, room: roomName, recipients });
   return recipients;
 }
 
@@ -131,11 +161,11 @@ function emitToGame(gameId, eventName, data) {
  * @param {number} userId - User ID
  * @param {string} eventName - Event name
  * @param {any} data - Event data
- * @returns {number} Number of recipients (0 or 1)
+ * @returns {number} Number of recipients (sockets of the user on this worker)
  */
 function emitToUser(userId, eventName, data) {
   if (!io) {
-    console.warn('[SocketEmitter] Not initialized. Call init(io) first.');
+    log.warn('not_initialized', { message: 'Call init(io) first' });
     return 0;
   }
 
@@ -143,11 +173,39 @@ function emitToUser(userId, eventName, data) {
   const recipients = getRoomSize(userRoom);
 
   io.to(userRoom).emit(eventName, data);
+  if (metrics) {
+    metrics.emitted(eventName, recipients);
+  }
 
-  console.log(`[SocketEmitter] ${eventName} → user_${userId} (${recipients} clients)`);
+  log.info('emitted', { event: eventName, room: userRoom, recipients });
   return recipients;
 }
 
+/**
+ * Emit to user, or put the event into the offline queue if the user has no socket on any worker
+ * Without the offline queue this is emitToUser with a recipient count from all workers.
+ * @param {number} userId - User ID
+ * @param {string} eventName - Event name
+ * @param {any} data - Event data
+ * @returns {Promise<{recipients: number, queued: boolean, queueDepth?: number}>}
+ */
+async function deliverToUser(userId, eventName, data) {
+  if (!io) {
+    log.warn('not_initialized', { message: 'Call init(io) first' });
+    return { recipients: 0, queued: false };
+  }
+
+  const recipients = (await io.in(`user_${userId}`).fetchSockets()).length;
+  if (recipients === 0 && offlineQueue) {
+    const queueDepth = await offlineQueue.enqueue(userId, eventName, data);
+    log.info('queued', { event: eventName, userId, queueDepth });
+    return { recipients, queued: true, queueDepth };
+  }
+
+  emitToUser(userId, eventName, data);
+  return { recipients, queued: false };
+}
+
 /**
  * Check if Socket.IO is initialized
  * @returns {boolean}
@@ -171,6 +229,7 @@ module.exports = {
   emitDeleteComment,
   emitToGame,
   emitToUser,
+  deliverToUser,
   getGameRoomName,
   getRoomSize,
   isInitialized,
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signRequest, createApiAuthMiddleware } = require('../apiAuth');
+
+const SECRET = 'test-secret';
+
+/**
+ * Express-like request with the given headers
+ */
+function fakeRequest({ method = 'POST', path = '/api/broadcast/game/5', body = '', headers = {} }) {
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    method,
+    originalUrl: path,
+    rawBody: body,
+    get: (name) => lowerCased[name.toLowerCase()]
+  };
+}
+
+/**
+ * Run middleware, resolve with { next: true } or the error response
+ */
+function run(middleware, req) {
+  return new Promise((resolve) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ next: false, status: this.statusCode, body });
+      }
+    };
+    middleware(req, res, () => resolve({ next: true }));
+  });
+}
+
+function signed(request, timestamp) {
+  return fakeRequest({ ...request, headers: signRequest(SECRET, request, timestamp) });
+}
+
+test('signRequest signs timestamp, method, path and body', () => {
+  const headers = signRequest(SECRET, { method: 'post', path: '/a?b=1', body: '{}' }, 1000);
+
+  assert.equal(headers['X-Timestamp'], '1000');
+  assert.deepEqual(signRequest(SECRET, { method: 'POST', path: '/a?b=1', body: '{}' }, 1000), headers);
+  assert.notEqual(signRequest(SECRET, { method: 'POST', path: '/a?b=2', body: '{}' }, 1000)['X-Signature'], headers['X-Signature']);
+  assert.notEqual(signRequest(SECRET, { method: 'POST', path: '/a?b=1', body: '{ }' }, 1000)['X-Signature'], headers['X-Signature']);
+});
+
+test('accepts a known API key and rejects an unknown one', async () => {
+  const middleware = createApiAuthMiddleware({ apiKeys: ['k1'] });
+
+  const req = fakeRequest({ headers: { 'X-Api-Key': 'k1' } });
+  assert.deepEqual(await run(middleware, req), { next: true });
+  assert.match(req.apiCaller, /^key:[0-9a-f]{12}$/);
+
+  const rejected = await run(middleware, fakeRequest({ headers: { 'X-Api-Key': 'k2' } }));
+  assert.equal(rejected.status, 401);
+  assert.equal(rejected.body.error.code, 'UNAUTHORIZED');
+});
+
+test('accepts a signed request once and rejects its replay', async () => {
+  const middleware = createApiAuthMiddleware({ hmacSecret: SECRET });
+  const request = { method: 'POST', path: '/api/broadcast/game/5', body: '{"event":"game_started"}' };
+  const timestamp = Date.now();
+
+  assert.deepEqual(await run(middleware, signed(request, timestamp)), { next: true });
+
+  const replayed = await run(middleware, signed(request, timestamp));
+  assert.equal(replayed.status, 401);
+  assert.equal(replayed.body.error.message, 'Replayed request');
+});
+
+test('rejects a signature over another body', async () => {
+  const middleware = createApiAuthMiddleware({ hmacSecret: SECRET });
+  const req = signed({ method: 'POST', path: '/api/broadcast/game/5', body: '{"a":1}' }, Date.now());
+  req.rawBody = '{"a":2}';
+
+  const result = await run(middleware, req);
+  assert.equal(result.status, 401);
+  assert.equal(result.body.error.message, 'Invalid signature');
+});
+
+test('rejects a timestamp outside the replay window', async () => {
+  const middleware = createApiAuthMiddleware({ hmacSecret: SECRET, replayWindowMs: 1000 });
+  const request = { method: 'POST', path: '/api/broadcast/game/5', body: '' };
+
+  const result = await run(middleware, signed(request, Date.now() - 5000));
+  assert.equal(result.status, 401);
+  assert.equal(result.body.error.message, 'Request timestamp outside of allowed window');
+});
+
+test('rejects a request without credentials', async () => {
+  const middleware = createApiAuthMiddleware({ apiKeys: ['k1'], hmacSecret: SECRET });
+
+  const result = await run(middleware, fakeRequest({}));
+  assert.equal(result.status, 401);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGameRoles } = require('../gameRoles');
+
+test('role set by the backend wins over the token claim', () => {
+  const roles = createGameRoles();
+  roles.set(5, 7, 'spectator');
+
+  assert.equal(roles.resolve(5, '7', { gameRoles: { 5: 'owner' } }), 'spectator');
+});
+
+test('token claim is used when the backend set no role for the user', () => {
+  const roles = createGameRoles();
+  roles.set(5, 8, 'owner');
+
+  assert.equal(roles.resolve(5, 7, { gameRoles: { 5: 'player' } }), 'player');
+  assert.equal(roles.resolve(6, 7, { gameRoles: { 6: 'owner' } }), 'owner');
+});
+
+test('unknown roles in the token are ignored', () => {
+  const roles = createGameRoles();
+
+  assert.equal(roles.resolve(5, 7, { gameRoles: { 5: 'admin' } }), 'player');
+});
+
+test('everyone else gets the default role', () => {
+  const roles = createGameRoles({ defaultRole: 'spectator' });
+  roles.set(5, 8, 'owner');
+
+  assert.equal(roles.resolve(5, 7, null), 'spectator');
+  assert.equal(roles.resolve(6, 7, {}), 'spectator');
+  assert.equal(roles.resolve(5, null, null), 'spectator');
+});
+
+test('games without roles are not restricted when roles are optional', () => {
+  const roles = createGameRoles({ mode: 'optional' });
+  roles.set(5, 8, 'owner');
+
+  assert.equal(roles.resolve(6, 7, null), null);
+  assert.equal(roles.resolve(5, 7, null), 'player');
+});
+
+test('null removes a role and clearGame drops all roles of a game', () => {
+  const roles = createGameRoles({ mode: 'optional' });
+  roles.set(5, 7, 'owner');
+  roles.set(5, 8, 'spectator');
+
+  roles.set(5, 7, null);
+  assert.deepEqual(roles.list(5), { 8: 'spectator' });
+
+  roles.clearGame(5);
+  assert.deepEqual(roles.list(5), {});
+  assert.equal(roles.resolve(5, 8, null), null);
+});
+
+test('unknown roles are refused', () => {
+  const roles = createGameRoles();
+
+  assert.throws(() => roles.set(5, 7, 'admin'), /Unknown game role "admin"/);
+});
+
+test('restore copies the roles of a snapshot', () => {
+  const roles = createGameRoles();
+  roles.set(5, 7, 'owner');
+  const copy = createGameRoles();
+
+  copy.restore(JSON.parse(JSON.stringify(roles.snapshot())));
+
+  assert.deepEqual(copy.list(5), { 7: 'owner' });
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createOfflineQueue } = require('../offlineQueue');
+
+/**
+ * Socket that records replayed events; ack(true) answers them, ack(false) lets them time out
+ */
+function fakeSocket(id, { ack = true } = {}) {
+  const received = [];
+  return {
+    id,
+    received,
+    timeout() {
+      return {
+        emit(eventName, data, meta, callback) {
+          received.push({ eventName, data, meta });
+          setImmediate(() => callback(ack ? null : new Error('operation has timed out')));
+        }
+      };
+    }
+  };
+}
+
+test('events are replayed in order and removed once acked', async () => {
+  const queue = createOfflineQueue({ mode: 'memory' });
+  await queue.enqueue(7, 'notification', { text: 'a' });
+  await queue.enqueue(7, 'notification', { text: 'b' });
+  const socket = fakeSocket('s1');
+
+  assert.equal(await queue.flush(socket, 7), 2);
+
+  assert.deepEqual(socket.received.map(({ data }) => data.text), ['a', 'b']);
+  assert.equal(socket.received[0].meta.queued, true);
+  assert.equal(await queue.depth(7), 0);
+});
+
+test('events without ack stay queued for the next connect', async () => {
+  const queue = createOfflineQueue({ mode: 'memory' });
+  await queue.enqueue(7, 'notification', { text: 'a' });
+
+  await queue.flush(fakeSocket('s1', { ack: false }), 7);
+
+  assert.equal(await queue.depth(7), 1);
+});
+
+test('queue is trimmed to the newest maxPerUser events', async () => {
+  const queue = createOfflineQueue({ mode: 'memory', maxPerUser: 2 });
+  await queue.enqueue(7, 'notification', { text: 'a' });
+  await queue.enqueue(7, 'notification', { text: 'b' });
+  assert.equal(await queue.enqueue(7, 'notification', { text: 'c' }), 2);
+  const socket = fakeSocket('s1');
+
+  await queue.flush(socket, 7);
+
+  assert.deepEqual(socket.received.map(({ data }) => data.text), ['b', 'c']);
+});
+
+test('events expire after ttlMs', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const queue = createOfflineQueue({ mode: 'memory', ttlMs: 1000 });
+  await queue.enqueue(7, 'notification', { text: 'a' });
+  t.mock.timers.tick(600);
+  await queue.enqueue(7, 'notification', { text: 'b' });
+
+  t.mock.timers.tick(500);
+  assert.equal(await queue.depth(7), 1);
+  t.mock.timers.tick(500);
+  assert.equal(await queue.depth(7), 0);
+});
+
+test('queues of users are separate', async () => {
+  const queue = createOfflineQueue({ mode: 'memory' });
+  await queue.enqueue(7, 'notification', { text: 'a' });
+
+  assert.equal(await queue.depth(8), 0);
+  assert.equal(await queue.flush(fakeSocket('s1'), 8), 0);
+  assert.equal(await queue.depth(7), 1);
+});
+
+test('a second device gets nothing while the first one is getting the queue', async () => {
+  const queue = createOfflineQueue({ mode: 'memory' });
+  await queue.enqueue(7, 'notification', { text: 'a' });
+  const first = fakeSocket('s1');
+  const second = fakeSocket('s2');
+
+  const [replayedFirst, replayedSecond] = await Promise.all([queue.flush(first, 7), queue.flush(second, 7)]);
+
+  assert.equal(replayedFirst, 1);
+  assert.equal(replayedSecond, 0);
+  assert.equal(second.received.length, 0);
+});
+
+test('unknown mode is refused', () => {
+  assert.throws(() => createOfflineQueue({ mode: 'disk' }), /Unknown offline queue mode "disk"/);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSocketRateLimiter, createHttpRateLimiter } = require('../rateLimiter');
+
+/**
+ * Socket with the parts the limiter uses; send() runs an incoming packet through its middleware
+ */
+function fakeSocket() {
+  const emitted = [];
+  let middleware;
+  const socket = {
+    id: 'socket-1',
+    connected: true,
+    emitted,
+    use(fn) {
+      middleware = fn;
+    },
+    emit(eventName, data) {
+      emitted.push([eventName, data]);
+    },
+    disconnect() {
+      socket.connected = false;
+    },
+    /** @returns {boolean} Whether the event got through */
+    send(...packet) {
+      let passed = false;
+      middleware(packet, () => {
+        passed = true;
+      });
+      return passed;
+    }
+  };
+  return socket;
+}
+
+/**
+ * Run HTTP limiter for a caller, resolve with true (next) or the 429 response
+ */
+function request(limiter, caller) {
+  const res = {
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+    }
+  };
+  let passed = false;
+  limiter({ apiCaller: caller, method: 'POST', originalUrl: '/api/broadcast/game/5' }, res, () => {
+    passed = true;
+  });
+  return passed || res;
+}
+
+test('bucket lets capacity events through, then refills over time', (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const limiter = createSocketRateLimiter({ policies: { message: { capacity: 2, refillPerSec: 1 } } });
+  const socket = fakeSocket();
+  limiter.attach(socket, {});
+
+  assert.equal(socket.send('message', {}), true);
+  assert.equal(socket.send('message', {}), true);
+  assert.equal(socket.send('message', {}), false);
+  assert.deepEqual(socket.emitted, [['rate_limited', { event: 'message', retryAfterMs: 1000 }]]);
+
+  t.mock.timers.tick(500);
+  assert.equal(socket.send('message', {}), false);
+  t.mock.timers.tick(500);
+  assert.equal(socket.send('message', {}), true);
+});
+
+test('limited event answers its ack with RATE_LIMITED', () => {
+  const limiter = createSocketRateLimiter({ policies: { '*': { capacity: 1, refillPerSec: 1 } } });
+  const socket = fakeSocket();
+  limiter.attach(socket, {});
+  let answer;
+
+  socket.send('joinRoom', 'game_5');
+  socket.send('joinRoom', 'game_5', (response) => {
+    answer = response;
+  });
+
+  assert.equal(answer.ok, false);
+  assert.equal(answer.error.code, 'RATE_LIMITED');
+});
+
+test('events without own policy share the * bucket', () => {
+  const limiter = createSocketRateLimiter({
+    policies: { message: { capacity: 1, refillPerSec: 1 }, '*': { capacity: 2, refillPerSec: 1 } }
+  });
+  const socket = fakeSocket();
+  limiter.attach(socket, {});
+
+  assert.equal(socket.send('joinRoom', 'game_5'), true);
+  assert.equal(socket.send('leaveRoom', 'game_5'), true);
+  assert.equal(socket.send('made_up_event'), false);
+  assert.equal(socket.send('message', {}), true);
+});
+
+test('socket is disconnected after too many violations', () => {
+  const limiter = createSocketRateLimiter({
+    policies: { '*': { capacity: 1, refillPerSec: 0.001 } },
+    maxViolations: 2
+  });
+  const socket = fakeSocket();
+  limiter.attach(socket, {});
+
+  socket.send('message');
+  socket.send('message');
+  socket.send('message');
+  assert.equal(socket.connected, true);
+  socket.send('message');
+  assert.equal(socket.connected, false);
+});
+
+test('HTTP limiter keeps one bucket per caller and sets Retry-After', () => {
+  const limiter = createHttpRateLimiter({ policy: { capacity: 1, refillPerSec: 0.5 } });
+
+  assert.equal(request(limiter, 'key:a'), true);
+  assert.equal(request(limiter, 'key:b'), true);
+
+  const limited = request(limiter, 'key:a');
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.headers['Retry-After'], '2');
+  assert.equal(limited.body.error.code, 'RATE_LIMITED');
+});
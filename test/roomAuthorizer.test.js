@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoomAuthorizer } = require('../roomAuthorizer');
+
+/**
+ * Resolver that records its calls and answers from `answers` (room -> boolean or Error)
+ */
+function recordingResolver(answers) {
+  const calls = [];
+  async function resolver(userId, room) {
+    calls.push([userId, room]);
+    const answer = answers[room];
+    if (answer instanceof Error) {
+      throw answer;
+    }
+    return answer;
+  }
+  return { resolver, calls };
+}
+
+test('user rooms are only for their own user', async () => {
+  const authorizer = createRoomAuthorizer({ allowWithoutResolver: true });
+
+  assert.equal(await authorizer.canJoin('7', 'user_7'), true);
+  assert.equal(await authorizer.canJoin('7', 'user_8'), false);
+  assert.equal(await authorizer.canJoin(null, 'user_7'), false);
+});
+
+test('rooms with an unknown prefix are refused', async () => {
+  const authorizer = createRoomAuthorizer({ allowWithoutResolver: true });
+
+  assert.equal(await authorizer.canJoin('7', 'lobby'), false);
+  assert.equal(await authorizer.canJoin('7', 'game_'), false);
+  assert.equal(await authorizer.canJoin('7', ''), false);
+});
+
+test('game rooms are refused without a resolver unless allowed for development', async () => {
+  assert.equal(await createRoomAuthorizer().canJoin('7', 'game_5'), false);
+  assert.equal(await createRoomAuthorizer({ allowWithoutResolver: true }).canJoin('7', 'game_5'), true);
+});
+
+test('answers are cached per user and room', async () => {
+  const { resolver, calls } = recordingResolver({ game_5: true, game_6: false });
+  const authorizer = createRoomAuthorizer({ resolver });
+
+  assert.equal(await authorizer.canJoin('7', 'game_5'), true);
+  assert.equal(await authorizer.canJoin('7', 'game_5'), true);
+  assert.equal(await authorizer.canJoin('7', 'game_6'), false);
+  assert.equal(await authorizer.canJoin('7', 'game_6'), false);
+  assert.equal(await authorizer.canJoin('8', 'game_5'), true);
+
+  assert.deepEqual(calls, [['7', 'game_5'], ['7', 'game_6'], ['8', 'game_5']]);
+});
+
+test('parallel joins share one resolver call', async () => {
+  const { resolver, calls } = recordingResolver({ game_5: true });
+  const authorizer = createRoomAuthorizer({ resolver });
+
+  const answers = await Promise.all([authorizer.canJoin('7', 'game_5'), authorizer.canJoin('7', 'game_5')]);
+
+  assert.deepEqual(answers, [true, true]);
+  assert.equal(calls.length, 1);
+});
+
+test('cached answers expire, denials sooner than approvals', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const { resolver, calls } = recordingResolver({ game_5: true, game_6: false });
+  const authorizer = createRoomAuthorizer({ resolver, cacheTtlMs: 1000, deniedCacheTtlMs: 100 });
+
+  await authorizer.canJoin('7', 'game_5');
+  await authorizer.canJoin('7', 'game_6');
+  t.mock.timers.tick(500);
+  await authorizer.canJoin('7', 'game_5');
+  await authorizer.canJoin('7', 'game_6');
+  assert.equal(calls.length, 3);
+
+  t.mock.timers.tick(600);
+  await authorizer.canJoin('7', 'game_5');
+  assert.equal(calls.length, 4);
+});
+
+test('resolver errors deny and are not cached', async () => {
+  const answers = { game_5: new Error('backend down') };
+  const { resolver, calls } = recordingResolver(answers);
+  const authorizer = createRoomAuthorizer({ resolver });
+
+  assert.equal(await authorizer.canJoin('7', 'game_5'), false);
+  answers.game_5 = true;
+  assert.equal(await authorizer.canJoin('7', 'game_5'), true);
+  assert.equal(calls.length, 2);
+});
+
+test('invalidate drops cached answers of a room or of all rooms of a user', async () => {
+  const { resolver, calls } = recordingResolver({ game_5: true, game_6: true });
+  const authorizer = createRoomAuthorizer({ resolver });
+
+  await authorizer.canJoin('7', 'game_5');
+  await authorizer.canJoin('7', 'game_6');
+  authorizer.invalidate('7', 'game_5');
+  await authorizer.canJoin('7', 'game_5');
+  await authorizer.canJoin('7', 'game_6');
+  assert.equal(calls.length, 3);
+
+  authorizer.invalidate('7');
+  await authorizer.canJoin('7', 'game_5');
+  await authorizer.canJoin('7', 'game_6');
+  assert.equal(calls.length, 5);
+});
@@ -0,0 +1,150 @@
+/**
+ * Typing Indicators
+ *
+ * Tracks who is writing a comment in each game room.
+ *
+ * - `typing_start` is throttled per socket and room
+ * - a typing user expires automatically after `expireMs` without a new `typing_start`
+ * - changes are debounced: one `game_typing` { gameId, userIds } per room per `debounceMs`,
+ *   sent to the whole room with the full list; clients leave their own userId out
+ *
+ * With several workers every worker gets every change (see workerCommands in index.js)
+ * and sends `game_typing` to its own sockets only.
+ */
+
+const { normalizeId } = require('./protocol');
+
+/**
+ * Create typing tracker
+ * @param {object} options
+ * @param {object} options.io - Socket.IO server
+ * @param {number} [options.throttleMs] - Min interval between accepted typing_start per socket
+ * @param {number} [options.expireMs] - Typing state lifetime without refresh
+ * @param {number} [options.debounceMs] - Delay before fan-out of changes
+ */
+function createTypingTracker({ io, throttleMs = 1000, expireMs = 5000, debounceMs = 300 }) {
+  // room -> { gameId, typists: Map(userKey -> { userId, socketId, expireTimer }) }
+  const rooms = new Map();
+  // `${socketId}|${room}` -> last accepted typing_start time
+  const lastStartAt = new Map();
+  // room -> debounce timer
+  const pendingFlushes = new Map();
+
+  function scheduleFlush(room) {
+    if (!pendingFlushes.has(room)) {
+      pendingFlushes.set(room, setTimeout(() => flush(room), debounceMs));
+    }
+  }
+
+  function flush(room) {
+    if (!pendingFlushes.delete(room)) return;
+
+    const state = rooms.get(room);
+    const gameId = state ? normalizeId(state.gameId) : null;
+    const userIds = state ? [...state.typists.values()].map((typist) => normalizeId(typist.userId)) : [];
+
+    io.local.to(room).emit('game_typing', { gameId, userIds });
+
+    if (state && state.typists.size === 0) {
+      rooms.delete(room);
+    }
+  }
+
+  function removeTypist(room, userKey) {
+    const state = rooms.get(room);
+    const typist = state && state.typists.get(userKey);
+    if (!typist) return false;
+
+    clearTimeout(typist.expireTimer);
+    state.typists.delete(userKey);
+    scheduleFlush(room);
+    return true;
+  }
+
+  /**
+   * User started (or keeps) typing
+   * @param {string} room - Game room name
+   * @param {number|string} gameId
+   * @param {number|string} userId
+   * @param {string} socketId
+   * @param {object} [options]
+   * @param {boolean} [options.throttle] - false for a start another worker has already accepted
+   * @returns {boolean} false if throttled
+   */
+  function start(room, gameId, userId, socketId, { throttle = true } = {}) {
+    if (throttle) {
+      const now = Date.now();
+      const throttleKey = `${socketId}|${room}`;
+      if (now - (lastStartAt.get(throttleKey) || 0) < throttleMs) {
+        return false;
+      }
+      lastStartAt.set(throttleKey, now);
+    }
+
+    let state = rooms.get(room);
+    if (!state) {
+      state = { gameId, typists: new Map() };
+      rooms.set(room, state);
+    }
+
+    const userKey = String(userId);
+    const existing = state.typists.get(userKey);
+    if (existing) {
+      clearTimeout(existing.expireTimer);
+    }
+
+    state.typists.set(userKey, {
+      userId,
+      socketId,
+      expireTimer: setTimeout(() => removeTypist(room, userKey), expireMs)
+    });
+
+    // Refreshing an already typing user does not change the list
+    if (!existing) {
+      scheduleFlush(room);
+    }
+    return true;
+  }
+
+  /**
+   * User stopped typing (sent comment or cleared input)
+   * @param {string} room
+   * @param {number|string} userId
+   * @param {string} socketId
+   */
+  function stop(room, userId, socketId) {
+    // Next typing_start after a stop is never throttled
+    lastStartAt.delete(`${socketId}|${room}`);
+    removeTypist(room, String(userId));
+  }
+
+  /**
+   * Forget everything typed from a socket (leaveRoom / disconnect)
+   * @param {string} socketId
+   * @param {string} [onlyRoom] - Limit to one room
+   */
+  function clearSocket(socketId, onlyRoom) {
+    for (const [room, state] of rooms) {
+      if (onlyRoom !== undefined && room !== onlyRoom) continue;
+      for (const [userKey, typist] of state.typists) {
+        if (typist.socketId === socketId) {
+          removeTypist(room, userKey);
+        }
+      }
+    }
+
+    for (const key of lastStartAt.keys()) {
+      if (key.startsWith(`${socketId}|`) && (onlyRoom === undefined || key === `${socketId}|${onlyRoom}`)) {
+        lastStartAt.delete(key);
+      }
+    }
+  }
+
+  return {
+    start,
+    stop,
+    clearSocket
+  };
+}
+
+module.exports = { createTypingTracker };
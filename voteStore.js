@@ -0,0 +1,151 @@
+/**
+ * Vote Store
+ *
+ * Authoritative per-game, per-page vote state.
+ * Each user has at most one vote per page; voting again replaces the previous vote.
+ * Votes are counted by one field of the vote object (`vote.choice` unless configured);
+ * votes without it are kept and listed, but not counted.
+ */
+
+const { normalizeId } = require('./protocol');
+
+/**
+ * Create in-memory vote store
+ * @param {object} [options]
+ * @param {string} [options.tallyField] - Field of the vote object that votes are counted by
+ */
+function createVoteStore({ tallyField = 'choice' } = {}) {
+  // gameId -> pageId -> Map(userId -> vote)
+  const games = new Map();
+
+  function getPageVotes(gameId, pageId, create) {
+    const gameKey = String(gameId);
+    const pageKey = String(pageId);
+
+    let pages = games.get(gameKey);
+    if (!pages) {
+      if (!create) return null;
+      pages = new Map();
+      games.set(gameKey, pages);
+    }
+
+    let votes = pages.get(pageKey);
+    if (!votes) {
+      if (!create) return null;
+      votes = new Map();
+      pages.set(pageKey, votes);
+    }
+
+    return votes;
+  }
+
+  // Tally key of a vote, null if the vote has no scalar value in tallyField
+  function choiceOf(vote) {
+    const value = vote && vote[tallyField];
+    return value == null || typeof value === 'object' ? null : String(value);
+  }
+
+  /**
+   * Record user's vote, replacing the previous one on the same page
+   * @param {number|string} gameId
+   * @param {number|string} pageId
+   * @param {number|string} userId
+   * @param {object} vote - Vote object
+   * @returns {{changed: boolean, previous: (object|null)}}
+   */
+  function castVote(gameId, pageId, userId, vote) {
+    const votes = getPageVotes(gameId, pageId, true);
+    const userKey = String(userId);
+    const previous = votes.get(userKey) || null;
+
+    votes.set(userKey, vote);
+
+    return {
+      changed: previous === null || choiceOf(previous) !== choiceOf(vote),
+      previous
+    };
+  }
+
+  /**
+   * Reset votes of one page
+   * @param {number|string} gameId
+   * @param {number|string} pageId
+   */
+  function clearPage(gameId, pageId) {
+    const pages = games.get(String(gameId));
+    if (!pages) return;
+
+    pages.delete(String(pageId));
+    if (pages.size === 0) {
+      games.delete(String(gameId));
+    }
+  }
+
+  /**
+   * Drop all vote state of a game
+   * @param {number|string} gameId
+   */
+  function clearGame(gameId) {
+    games.delete(String(gameId));
+  }
+
+  /**
+   * Current tally snapshot of a page
+   * @param {number|string} gameId
+   * @param {number|string} pageId
+   * @returns {{gameId, pageId, total: number, counts: object, votes: Array<{userId, vote}>}}
+   *   total counts every vote, counts only the votes with a tally value
+   */
+  function getTally(gameId, pageId) {
+    const votes = getPageVotes(gameId, pageId, false);
+    const counts = {};
+    const list = [];
+
+    if (votes) {
+      for (const [userId, vote] of votes) {
+        const choice = choiceOf(vote);
+        if (choice !== null) {
+          counts[choice] = (counts[choice] || 0) + 1;
+        }
+        list.push({ userId: normalizeId(userId), vote });
+      }
+    }
+
+    return {
+      gameId: normalizeId(gameId),
+      pageId,
+      total: list.length,
+      counts,
+      votes: list
+    };
+  }
+
+  /**
+   * All votes as plain JSON, for a worker that starts later (see restore)
+   * @returns {Array<[string, Array<[string, Array<[string, object]>]>]>} gameId -> pageId -> userId -> vote
+   */
+  function snapshot() {
+    return [...games].map(([gameKey, pages]) => [gameKey, [...pages].map(([pageKey, votes]) => [pageKey, [...votes]])]);
+  }
+
+  /**
+   * Replace all votes with a snapshot() of another worker
+   */
+  function restore(entries) {
+    games.clear();
+    for (const [gameKey, pages] of entries) {
+      games.set(gameKey, new Map(pages.map(([pageKey, votes]) => [pageKey, new Map(votes)])));
+    }
+  }
+
+  return {
+    castVote,
+    clearPage,
+    clearGame,
+    getTally,
+    snapshot,
+    restore
+  };
+}
+
+module.exports = { createVoteStore };
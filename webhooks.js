@@ -0,0 +1,264 @@
+/**
+ * Webhooks
+ *
+ * Forwards client-originated events (votes, comments, messages) to backend URLs,
+ * so they reach the database even if the client never calls the backend itself.
+ *
+ * Config, keyed by client event name (a string is a shorthand for { url }):
+ * {
+ *   "broadcast_vote_added":  "http://backend/api/socket/votes",
+ *   "broadcast_comment_new": { "url": "http://backend/api/socket/comments", "persistFirst": true }
+ * }
+ *
+ * Request: POST url, JSON body
+ *   { id, event, userId, socketId, payload, timestamp }
+ * with headers X-Webhook-Id, X-Webhook-Event and, if a secret is set,
+ * X-Timestamp + X-Signature (same scheme as the HTTP API, see apiAuth.js).
+ *
+ * Modes:
+ * - relay (default): event is broadcast right away, delivery runs in background
+ *   with retries and exponential backoff; undelivered events go to the dead-letter log.
+ * - persistFirst: broadcast waits until the backend answers 2xx. If the response
+ *   is JSON with `payload`, that canonical payload is broadcast instead of the client's.
+ *   It is checked against the client event's schema; the target the sender was authorized for
+ *   (gameId, room, toUserId) is always taken from the client.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { signRequest } = require('./apiAuth');
+const { ErrorCodes, RequestError } = require('./errors');
+const { createLogger } = require('./logger');
+const { validateClientEvent } = require('./protocol');
+
+const log = createLogger('Webhook');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Payload fields the sender was authorized for (room membership, role, block list);
+// the backend's canonical payload cannot move the event elsewhere
+const TARGET_FIELDS = ['gameId', 'room', 'toUserId'];
+
+/**
+ * Path with query string of a URL, as the backend sees it (signed with the request)
+ */
+function pathOf(url) {
+  const { pathname, search } = new URL(url);
+  return pathname + search;
+}
+
+/**
+ * Create webhook dispatcher
+ * @param {object} [options]
+ * @param {object} [options.hooks] - Client event name -> url or { url, persistFirst, maxAttempts }
+ * @param {string} [options.secret] - HMAC secret for X-Signature
+ * @param {number} [options.timeoutMs] - Timeout of one attempt
+ * @param {number} [options.maxAttempts] - Attempts before giving up
+ * @param {number} [options.backoffMs] - Delay before 2nd attempt, doubled for every next one
+ * @param {number} [options.maxBackoffMs]
+ * @param {string} [options.deadLetterFile] - Append undelivered events here as JSON lines
+ */
+function createWebhookDispatcher({
+  hooks = {},
+  secret,
+  timeoutMs = 5000,
+  maxAttempts = 5,
+  backoffMs = 500,
+  maxBackoffMs = 30 * 1000,
+  deadLetterFile
+} = {}) {
+  const config = new Map(); // eventName -> { url, persistFirst, maxAttempts }
+  const pending = new Set(); // background deliveries still retrying
+
+  for (const [eventName, hook] of Object.entries(hooks)) {
+    const normalized = typeof hook === 'string' ? { url: hook } : { ...hook };
+    if (!normalized.url) {
+      throw new Error(`Webhook for "${eventName}" has no url`);
+    }
+    config.set(eventName, {
+      url: normalized.url,
+      persistFirst: Boolean(normalized.persistFirst),
+      maxAttempts: Number(normalized.maxAttempts) || maxAttempts
+    });
+  }
+
+  /**
+   * Single POST attempt
+   * @returns {Promise<{ok: boolean, retryable: boolean, status?: number, body?: any, error?: string}>}
+   */
+  async function attempt(url, envelope) {
+    const body = JSON.stringify(envelope);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': envelope.id,
+      'X-Webhook-Event': envelope.event,
+      ...(secret ? signRequest(secret, { method: 'POST', path: pathOf(url), body }) : {})
+    };
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      const responseBody = await response.json().catch(() => null);
+
+      return {
+        ok: response.ok,
+        // 4xx (except 408/429) is the backend's answer, repeating it will not help
+        retryable: !response.ok && (response.status >= 500 || response.status === 408 || response.status === 429),
+        status: response.status,
+        body: responseBody
+      };
+    } catch (error) {
+      return { ok: false, retryable: true, error: error.message };
+    }
+  }
+
+  /**
+   * POST with retries and exponential backoff
+   */
+  async function send(hook, envelope) {
+    let result;
+    for (let attemptNo = 1; attemptNo <= hook.maxAttempts; attemptNo++) {
+      result = await attempt(hook.url, envelope);
+      if (result.ok || !result.retryable) {
+        return { ...result, attempts: attemptNo };
+      }
+      if (attemptNo < hook.maxAttempts) {
+        const wait = Math.min(backoffMs * 2 ** (attemptNo - 1), maxBackoffMs);
+        log.warn('webhook_retry', {
+          webhookId: envelope.id,
+          event: envelope.event,
+          attempt: attemptNo,
+          status: result.status,
+          error: result.error,
+          retryInMs: wait
+        });
+        await delay(wait);
+      }
+    }
+    return { ...result, attempts: hook.maxAttempts };
+  }
+
+  /**
+   * Record undelivered event
+   */
+  function deadLetter(hook, envelope, result) {
+    const entry = {
+      id: envelope.id,
+      event: envelope.event,
+      url: hook.url,
+      attempts: result.attempts,
+      status: result.status,
+      error: result.error,
+      envelope,
+      failedAt: new Date().toISOString()
+    };
+
+    log.error('webhook_dead_letter', {
+      webhookId: envelope.id,
+      event: envelope.event,
+      attempts: result.attempts,
+      status: result.status,
+      error: result.error
+    });
+    if (deadLetterFile) {
+      fs.promises.appendFile(deadLetterFile, `${JSON.stringify(entry)}\n`).catch((error) => {
+        log.error('dead_letter_write_failed', { file: deadLetterFile, error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Canonical payload of a persistFirst response with the client's target fields
+   * @returns {object} Canonical payload, or the client's if the backend sent none or an invalid one
+   */
+  function canonicalPayload(eventName, payload, envelope, body) {
+    const canonical = body && body.payload;
+    if (!canonical || typeof canonical !== 'object' || Array.isArray(canonical)) {
+      return payload;
+    }
+
+    const merged = { ...canonical };
+    for (const field of TARGET_FIELDS) {
+      if (field in payload) {
+        merged[field] = payload[field];
+      }
+    }
+
+    const validationError = validateClientEvent(eventName, merged);
+    if (validationError) {
+      log.error('webhook_invalid_payload', {
+        webhookId: envelope.id,
+        event: eventName,
+        error: validationError.message
+      });
+      return payload;
+    }
+    return merged;
+  }
+
+  /**
+   * Forward client event to its webhook, if one is configured
+   * Relay hooks are delivered in background; persistFirst hooks are awaited.
+   * @param {string} eventName - Client event name
+   * @param {object} payload - Validated client payload
+   * @param {{userId?: string|number, socketId?: string}} [context]
+   * @returns {Promise<object>} Payload to broadcast: canonical payload from backend (see canonicalPayload) or the client's
+   * @throws {RequestError} BACKEND_REJECTED / BACKEND_UNAVAILABLE when persistFirst delivery fails
+   */
+  async function deliver(eventName, payload, context = {}) {
+    const hook = config.get(eventName);
+    if (!hook) {
+      return payload;
+    }
+
+    const envelope = {
+      id: crypto.randomUUID(),
+      event: eventName,
+      userId: context.userId ?? null,
+      socketId: context.socketId ?? null,
+      payload,
+      timestamp: new Date().toISOString()
+    };
+
+    if (!hook.persistFirst) {
+      const delivery = send(hook, envelope).then((result) => {
+        if (!result.ok) {
+          deadLetter(hook, envelope, result);
+        }
+      });
+      pending.add(delivery);
+      delivery.finally(() => pending.delete(delivery));
+      return payload;
+    }
+
+    const result = await send(hook, envelope);
+    if (result.ok) {
+      return canonicalPayload(eventName, payload, envelope, result.body);
+    }
+
+    if (!result.retryable) {
+      // Backend refused the event (e.g. failed its own validation); the sender is told, nothing is lost
+      const message = (result.body && result.body.error && result.body.error.message) || `Backend rejected ${eventName}`;
+      throw new RequestError(ErrorCodes.BACKEND_REJECTED, message, { status: result.status });
+    }
+
+    deadLetter(hook, envelope, result);
+    throw new RequestError(ErrorCodes.BACKEND_UNAVAILABLE, 'Backend is unavailable, try again later');
+  }
+
+  return {
+    deliver,
+    /** Event names with a webhook */
+    events: () => [...config.keys()],
+    /** Number of background deliveries in progress */
+    pendingCount: () => pending.size,
+    /** Wait for background deliveries in progress (used on shutdown) */
+    drain: () => Promise.allSettled([...pending])
+  };
+}
+
+module.exports = { createWebhookDispatcher };